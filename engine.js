@@ -5,19 +5,150 @@
 // Utility
 // ============================================================
 
-function switchTask(task) {
-    return task === 'mov' ? 'or' : 'mov';
+// Task set used when a block config does not declare blockConfig.tasks
+const DEFAULT_TASKS = ['mov', 'or'];
+
+/**
+ * Returns a task other than `task`. With two tasks this is simply the other
+ * one (no random draw); with more, one of the other tasks is drawn uniformly.
+ *
+ * @param {string} task
+ * @param {string[]} [tasks=DEFAULT_TASKS]
+ * @param {function(): number} [rng=Math.random]
+ * @returns {string}
+ */
+function switchTask(task, tasks = DEFAULT_TASKS, rng = Math.random) {
+    const others = tasks.filter(t => t !== task);
+    if (others.length === 1) return others[0];
+    return others[Math.floor(rng() * others.length)];
+}
+
+/**
+ * Draws a task uniformly from the task set.
+ */
+function randomTask(tasks, rng = Math.random) {
+    return tasks[Math.floor(rng() * tasks.length)];
+}
+
+/**
+ * Resolves a block's task set: blockConfig.tasks (e.g. ['mov', 'or', 'col'])
+ * or DEFAULT_TASKS. Key maps and task-indexed coherence are keyed by task
+ * name, so each must cover every declared task.
+ *
+ * SE stimulus parameters are named per task (coh_<task>_1, dir_<task>_1, ...);
+ * a task beyond 'mov' and 'or' needs a matching pathway in the SE package.
+ *
+ * @param {object} blockConfig
+ * @returns {string[]}
+ * @throws {Error} if fewer than two tasks are declared or a per-task map is incomplete
+ */
+function resolveTasks(blockConfig) {
+    const tasks = blockConfig.tasks ?? DEFAULT_TASKS;
+    if (tasks.length < 2) {
+        throw new Error(`Block '${blockConfig.blockId}': tasks needs at least two entries, got ${JSON.stringify(tasks)}`);
+    }
+    const keyMapSets = { keyMaps: blockConfig.keyMaps };
+    for (const [side, maps] of Object.entries(blockConfig.canvasKeyMaps ?? {})) {
+        keyMapSets[`canvasKeyMaps.${side}`] = maps;
+    }
+    for (const [name, maps] of Object.entries(keyMapSets)) {
+        if (!maps) continue;
+        const missing = tasks.filter(t => !maps[t]);
+        if (missing.length > 0) {
+            throw new Error(`Block '${blockConfig.blockId}': ${name} has no entry for task(s) ${missing.join(', ')}`);
+        }
+    }
+    const coh = blockConfig.coherence;
+    if (coh && tasks.some(t => coh[t] !== undefined)) {
+        const missing = tasks.filter(t => coh[t] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Block '${blockConfig.blockId}': coherence has no entry for task(s) ${missing.join(', ')}`);
+        }
+    }
+    return tasks;
+}
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32).
+ * The returned function has the same contract as Math.random: a float in [0, 1).
+ * Every random decision in this file takes an `rng` argument of this shape,
+ * so a block's trial list can be regenerated exactly from its seed.
+ *
+ * @param {number} seed - any number; truncated to an unsigned 32-bit integer
+ * @returns {function(): number}
+ */
+function createRng(seed) {
+    let state = seed >>> 0;
+    return function rng() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Draws a fresh unsigned 32-bit seed from Math.random.
+ * Used when neither the block nor the session specifies one.
+ */
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Derives a per-block seed from a session seed and the block's position.
+ * Deterministic, so a whole session can be rebuilt from its session seed.
+ *
+ * @param {number} sessionSeed
+ * @param {number} blockOrder - 1-based block index within the session
+ * @returns {number} unsigned 32-bit seed
+ */
+function deriveSeed(sessionSeed, blockOrder) {
+    return Math.floor(createRng((sessionSeed >>> 0) ^ Math.imul(blockOrder, 0x9E3779B1))() * 4294967296);
 }
 
 /**
- * @param {{ type: string, value: number, params: number[] }} config
- *   type: 'fixed' | 'uniform' | 'choice'
- *   value: used for 'fixed' type, also serves as fallback
+ * Resolves the seed for a block and the generator seeded with it.
+ * blockConfig.seed wins; otherwise a fresh seed is drawn so that it can
+ * still be written into the trial meta.
+ *
+ * @param {object} blockConfig
+ * @returns {{ seed: number, rng: function(): number }}
+ */
+function resolveBlockRng(blockConfig) {
+    const seed = blockConfig.seed ?? randomSeed();
+    return { seed, rng: createRng(seed) };
+}
+
+/**
+ * Fisher-Yates shuffle, in place.
+ *
+ * @param {Array} array
+ * @param {function(): number} [rng=Math.random]
+ * @returns {Array} the same array, shuffled
+ */
+function shuffleInPlace(array, rng = Math.random) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
+/**
+ * @param {{ type: string, value: number, params: number[], weights?: number[] }} config
+ *   type: 'fixed' | 'uniform' | 'choice' | 'adaptive'
+ *   value: used for 'fixed' type, also serves as fallback; for 'adaptive'
+ *     (SOA staircases) the starting value, which the session then updates
+ *     per trial (see setTrialSoa)
  *   params: [min, max] for 'uniform', or [v1, v2, ...] for 'choice'
+ *   weights: optional relative weights for 'choice' (also used as Factorial weights)
+ * @param {function(): number} [rng=Math.random]
  * @returns {number} sampled value in ms
  */
-function sampleFromDistribution(config) {
-    if (config.type === 'fixed') {
+function sampleFromDistribution(config, rng = Math.random) {
+    if (config.type === 'fixed' || config.type === 'adaptive') {
         return config.value;
     }
     if (config.type === 'uniform') {
@@ -27,14 +158,23 @@ function sampleFromDistribution(config) {
         }
         const min = Math.min(config.params[0], config.params[1]);
         const max = Math.max(config.params[0], config.params[1]);
-        return min + Math.random() * (max - min);
+        return min + rng() * (max - min);
     }
     if (config.type === 'choice') {
         if (!config.params || config.params.length === 0) {
             console.warn('sampleFromDistribution: choice requires non-empty params, falling back to value');
             return config.value;
         }
-        return config.params[Math.floor(Math.random() * config.params.length)];
+        if (config.weights) {
+            const total = config.weights.reduce((sum, w) => sum + w, 0);
+            let draw = rng() * total;
+            for (let i = 0; i < config.params.length - 1; i++) {
+                draw -= config.weights[i];
+                if (draw < 0) return config.params[i];
+            }
+            return config.params[config.params.length - 1];
+        }
+        return config.params[Math.floor(rng() * config.params.length)];
     }
     throw new Error(`sampleFromDistribution: unknown type '${config.type}'`);
 }
@@ -52,13 +192,22 @@ function sampleFromDistribution(config) {
  * which task is T1 on each trial (T2 is the other task).
  *
  * @param {number} numTrials
- * @param {string} sequenceType - 'Random' or 'AABB'
- * @param {number} switchRate - percent (0–100), only used for 'Random'
- * @param {string|null} startTask - 'mov', 'or', or null for random coin flip
- * @returns {string[]} Array of 'mov'/'or' with length numTrials
+ * @param {string} sequenceType - 'Random', 'Exact', 'AABB' or 'RunLength'
+ * @param {number} switchRate - percent (0–100), used for 'Random' and 'Exact'
+ * @param {string|null} startTask - a task name, or null for a random draw
+ * @param {function(): number} [rng=Math.random]
+ * @param {{ maxRunLength?: number, runLength?: number|object, tasks?: string[] }} [options]
+ *   maxRunLength: 'Exact' only, longest allowed run of the same task.
+ *   runLength: 'RunLength' only, trials per run — a number (1 gives ABAB,
+ *   4 gives AAAABBBB) or a distribution config (see sampleFromDistribution)
+ *   drawn afresh for each run and rounded to a whole number of at least 1.
+ *   tasks: task set (default DEFAULT_TASKS); a switch moves to one of the
+ *   other tasks, drawn uniformly when there are more than two.
+ * @returns {string[]} Array of task names with length numTrials
  */
-function generateTaskSequence(numTrials, sequenceType, switchRate, startTask = null) {
-    const firstTask = startTask ?? (Math.random() < 0.5 ? 'mov' : 'or');
+function generateTaskSequence(numTrials, sequenceType, switchRate, startTask = null, rng = Math.random, options = {}) {
+    const tasks = options.tasks ?? DEFAULT_TASKS;
+    const firstTask = startTask ?? randomTask(tasks, rng);
     const sequence = [firstTask];
 
     if (sequenceType === 'Random') {
@@ -67,14 +216,33 @@ function generateTaskSequence(numTrials, sequenceType, switchRate, startTask = n
         // (i.e., the Hirsch et al. 2018 design where stimulus category is random).
         for (let i = 1; i < numTrials; i++) {
             const prev = sequence[i - 1];
-            sequence.push(Math.random() < (switchRate / 100) ? switchTask(prev) : prev);
+            sequence.push(rng() < (switchRate / 100) ? switchTask(prev, tasks, rng) : prev);
         }
-    } else if (sequenceType === 'AABB') {
-        // Alternating runs of 2: mov, mov, or, or, mov, mov, ...
+    } else if (sequenceType === 'Exact') {
+        // Exactly round(switchRate% x (numTrials - 1)) switches at random positions
+        const transitions = generateExactSwitchTransitions(
+            numTrials, switchRate, options.maxRunLength ?? null, rng
+        );
+        return deriveTasksFromTransitions(transitions, firstTask, tasks, rng);
+    } else if (sequenceType === 'AABB' || sequenceType === 'RunLength') {
+        // Runs of runLength trials, switching task between runs.
+        // AABB is runs of 2: mov, mov, or, or, mov, mov, ...
+        const runLength = sequenceType === 'AABB' ? 2 : options.runLength;
+        if (runLength == null) {
+            throw new Error(`sequenceType 'RunLength' needs a runLength`);
+        }
+        if (typeof runLength === 'number' && !(Number.isInteger(runLength) && runLength >= 1)) {
+            throw new Error(`sequenceType 'RunLength' needs a whole runLength of at least 1, got ${runLength}`);
+        }
+        const drawRunLength = () => typeof runLength === 'number'
+            ? runLength
+            : Math.max(1, Math.round(sampleFromDistribution(runLength, rng)));
+        let remaining = drawRunLength();
         for (let i = 1; i < numTrials; i++) {
-            // Switch every 2 trials
-            if (i % 2 === 0) {
-                sequence.push(switchTask(sequence[i - 1]));
+            remaining--;
+            if (remaining === 0) {
+                sequence.push(switchTask(sequence[i - 1], tasks, rng));
+                remaining = drawRunLength();
             } else {
                 sequence.push(sequence[i - 1]);
             }
@@ -86,6 +254,90 @@ function generateTaskSequence(numTrials, sequenceType, switchRate, startTask = n
     return sequence;
 }
 
+/**
+ * Generates a transition sequence with an exact number of switches.
+ *
+ * The numTrials - 1 transitions get round(switchRate / 100 * (numTrials - 1))
+ * switches. Equivalently, the block is cut into (switches + 1) runs of the
+ * same task; the run lengths are drawn uniformly from all compositions that
+ * respect maxRunLength, so the constraint never biases where switches fall.
+ *
+ * @param {number} numTrials
+ * @param {number} switchRate - percent (0–100)
+ * @param {number|null} maxRunLength - longest allowed run, or null for no limit
+ * @param {function(): number} [rng=Math.random]
+ * @returns {string[]} ['First', 'Repeat'|'Switch', ...] with length numTrials
+ */
+function generateExactSwitchTransitions(numTrials, switchRate, maxRunLength = null, rng = Math.random) {
+    if (numTrials <= 0) return [];
+
+    const numSwitches = Math.round((switchRate / 100) * (numTrials - 1));
+    const numRuns = numSwitches + 1;
+    const maxRun = maxRunLength ?? numTrials;
+
+    // ways[p][t]: number of ways to split t trials into p runs of length 1..maxRun,
+    // built with a sliding-window sum. Each row is rescaled to a maximum of 1 so
+    // long blocks cannot overflow; sampling only uses ratios within a row.
+    const ways = [new Array(numTrials + 1).fill(0)];
+    ways[0][0] = 1;
+    for (let p = 1; p <= numRuns; p++) {
+        const row = new Array(numTrials + 1).fill(0);
+        let windowSum = 0;
+        for (let t = 1; t <= numTrials; t++) {
+            windowSum += ways[p - 1][t - 1];
+            if (t - maxRun - 1 >= 0) windowSum -= ways[p - 1][t - maxRun - 1];
+            // Feasible iff p <= t <= p * maxRun; test that exactly rather than
+            // trusting the window sum, which can leave rounding residue
+            row[t] = (t >= p && t <= p * maxRun) ? windowSum : 0;
+        }
+        const rowMax = Math.max(...row);
+        ways.push(rowMax > 0 ? row.map(w => w / rowMax) : row);
+    }
+
+    if (ways[numRuns][numTrials] === 0) {
+        throw new Error(
+            `Exact sequence: cannot place ${numSwitches} switches in ${numTrials} trials `
+            + `with maxRunLength ${maxRunLength}`
+        );
+    }
+
+    const transitions = ['First'];
+    let remaining = numTrials;
+    for (let p = numRuns; p > 0; p--) {
+        // Draw this run's length in proportion to the completions it leaves
+        const maxLen = Math.min(maxRun, remaining);
+        let total = 0;
+        for (let len = 1; len <= maxLen; len++) total += ways[p - 1][remaining - len];
+        let draw = rng() * total;
+        let runLength = 0;
+        for (let len = 1; len <= maxLen; len++) {
+            const w = ways[p - 1][remaining - len];
+            if (w === 0) continue;
+            runLength = len;
+            draw -= w;
+            if (draw < 0) break;
+        }
+        // The first run opens with 'First'; every later run opens with a switch
+        if (p !== numRuns) transitions.push('Switch');
+        for (let k = 1; k < runLength; k++) transitions.push('Repeat');
+        remaining -= runLength;
+    }
+
+    return transitions;
+}
+
+/**
+ * Percentage of Switch transitions among all non-First transitions.
+ *
+ * @param {string[]} transitions - e.g., ['First', 'Repeat', 'Switch', ...]
+ * @returns {number|null} percent (0–100), or null when there are no transitions
+ */
+function computeSwitchRate(transitions) {
+    const scored = transitions.filter(t => t === 'Switch' || t === 'Repeat');
+    if (scored.length === 0) return null;
+    return 100 * scored.filter(t => t === 'Switch').length / scored.length;
+}
+
 function classifyTransitions(taskSequence) {
     return taskSequence.map((task, i) => {
         if (i === 0) return 'First';
@@ -93,6 +345,84 @@ function classifyTransitions(taskSequence) {
     });
 }
 
+/**
+ * Position of each trial within its run of the same task, starting at 1,
+ * for first-trial-of-run analyses in predictable sequences.
+ *
+ * @param {string[]} taskSequence
+ * @returns {number[]}
+ */
+function computeRunPositions(taskSequence) {
+    const positions = [];
+    for (let i = 0; i < taskSequence.length; i++) {
+        positions.push(i > 0 && taskSequence[i] === taskSequence[i - 1] ? positions[i - 1] + 1 : 1);
+    }
+    return positions;
+}
+
+/**
+ * Identifies the response a trial requires: the key mapped to the target
+ * direction, or — without key maps — the direction on the given hand (the
+ * session's preset keys). null when no response is required.
+ *
+ * @param {object|null} keyMaps - key maps keyed by task
+ * @param {string} task
+ * @param {number|null} direction - target direction
+ * @param {string} hand - response hand used by the preset keys
+ * @returns {string|null}
+ */
+function requiredResponse(keyMaps, task, direction, hand) {
+    if (direction === null || direction === undefined) return null;
+    return keyMaps ? (keyMaps[task]?.[direction] ?? null) : `${hand}:${direction}`;
+}
+
+/**
+ * Labels each trial's required response relative to the previous trial's,
+ * with the same labels as classifyTransitions. null when either trial
+ * requires no response.
+ *
+ * @param {(string|null)[]} responses - from requiredResponse
+ * @returns {(string|null)[]} 'First' | 'Repeat' | 'Switch' | null
+ */
+function classifyResponseTransitions(responses) {
+    return responses.map((response, i) => {
+        if (i === 0) return 'First';
+        if (response === null || responses[i - 1] === null) return null;
+        return response === responses[i - 1] ? 'Repeat' : 'Switch';
+    });
+}
+
+/**
+ * Adds meta.responseTransition (T1's required response vs the previous
+ * trial's) to generated trials.
+ */
+function annotateResponseTransitions(trials, responses) {
+    classifyResponseTransitions(responses).forEach((label, i) => {
+        trials[i].meta.responseTransition = label;
+    });
+    return trials;
+}
+
+/**
+ * Labels each trial's relation to trial n-2, for n-2 repetition cost
+ * (backward inhibition) analyses. Only double switches are labelled:
+ * 'ABA' when trial n returns to the task of trial n-2, 'CBA' when all three
+ * tasks differ. The first two trials, and any trial that repeats or follows
+ * a repeat, get null. With two tasks every double switch is 'ABA'.
+ *
+ * @param {string[]} taskSequence
+ * @returns {(string|null)[]} 'ABA' | 'CBA' | null per trial
+ */
+function classifyN2Transitions(taskSequence) {
+    return taskSequence.map((task, i) => {
+        if (i < 2) return null;
+        const prev = taskSequence[i - 1];
+        const prev2 = taskSequence[i - 2];
+        if (task === prev || prev === prev2) return null;
+        return task === prev2 ? 'ABA' : 'CBA';
+    });
+}
+
 function classifyDualCanvasTransitions(t1TaskSequence, t2TaskSequence) {
     const transitions = [];
     for (let i = 0; i < t1TaskSequence.length; i++) {
@@ -101,15 +431,32 @@ function classifyDualCanvasTransitions(t1TaskSequence, t2TaskSequence) {
     return transitions;
 }
 
+/**
+ * Congruency label relating two directions, e.g. T1 and T2 targets on a
+ * dual-canvas trial: 'congruent' when equal, 'incongruent' when opposite,
+ * 'neutral' otherwise (orthogonal).
+ *
+ * @param {number} dirA - degrees
+ * @param {number} dirB - degrees
+ * @returns {string}
+ */
+function classifyDirectionCongruency(dirA, dirB) {
+    const diff = ((dirA - dirB) % 360 + 360) % 360;
+    if (diff === 0) return 'congruent';
+    if (diff === 180) return 'incongruent';
+    return 'neutral';
+}
+
 /**
  * Generates a shuffled sequence of congruency labels with exact proportions.
  *
  * @param {number} numTrials
  * @param {string[]} conditions - e.g., ['congruent', 'incongruent']
  * @param {number[]} proportions - e.g., [0.5, 0.5], must sum to 1
+ * @param {function(): number} [rng=Math.random]
  * @returns {string[]} Shuffled array of congruency labels, length = numTrials
  */
-function generateCongruencySequence(numTrials, conditions, proportions) {
+function generateCongruencySequence(numTrials, conditions, proportions, rng = Math.random) {
     const sequence = [];
     let assigned = 0;
 
@@ -123,92 +470,560 @@ function generateCongruencySequence(numTrials, conditions, proportions) {
         assigned += count;
     }
 
-    // Fisher-Yates shuffle
-    for (let i = sequence.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [sequence[i], sequence[j]] = [sequence[j], sequence[i]];
-    }
+    return shuffleInPlace(sequence, rng);
+}
 
-    return sequence;
+/**
+ * Normalizes a factor spec to { levels, weights } with weights summing to 1.
+ * A plain array means equal weights.
+ */
+function normalizeFactor(spec) {
+    const levels = Array.isArray(spec) ? spec : spec.levels;
+    const rawWeights = Array.isArray(spec) || !spec.weights
+        ? levels.map(() => 1)
+        : spec.weights;
+    if (rawWeights.length !== levels.length || rawWeights.some(w => !(w >= 0))) {
+        throw new Error(`Factor weights must be non-negative and match levels: ${JSON.stringify(spec)}`);
+    }
+    const total = rawWeights.reduce((sum, w) => sum + w, 0);
+    if (total <= 0) {
+        throw new Error(`Factor weights must not all be zero: ${JSON.stringify(spec)}`);
+    }
+    return { levels, weights: rawWeights.map(w => w / total) };
 }
 
 /**
  * Generates a fully crossed, randomly shuffled sequence of experimental factors.
  * Pure utility function — knows nothing about experiment-specific semantics.
  *
+ * Each factor is either an array of levels (equal weights) or
+ * { levels, weights } (e.g. { levels: ['Repeat', 'Switch'], weights: [3, 1] }).
+ * A cell's target count is numTrials x the product of its level weights.
+ * Whole counts are allocated first; leftover trials go deterministically to
+ * the cells furthest below target, ties going to the cell whose levels are
+ * furthest below their own marginal targets, then to product order. Only the
+ * final order is random.
+ *
  * @param {number} numTrials - Total trials in the block.
- * @param {Object} factors - Dictionary of arrays to cross
+ * @param {Object} factors - Dictionary of factor specs to cross
  *   (e.g., { transition: ['Repeat', 'Switch'], soa: [100, 600] })
+ * @param {function(): number} [rng=Math.random]
  * @returns {Array<Object>} Array of length numTrials containing crossed factor combinations.
  */
-function generateFactorialSequence(numTrials, factors) {
+function generateFactorialSequence(numTrials, factors, rng = Math.random) {
     const keys = Object.keys(factors);
 
     if (keys.length === 0) {
         return Array.from({ length: numTrials }, () => ({}));
     }
 
-    const cartesianProduct = keys.reduce((acc, key) => {
-        const values = factors[key];
-        if (acc.length === 0) return values.map(v => ({ [key]: v }));
-        return acc.flatMap(obj => values.map(v => ({ ...obj, [key]: v })));
-    }, []);
-
-    const pool = [];
-    const reps = Math.floor(numTrials / cartesianProduct.length);
-    for (let i = 0; i < reps; i++) {
-        pool.push(...cartesianProduct.map(c => ({ ...c })));
+    const normalized = {};
+    for (const key of keys) normalized[key] = normalizeFactor(factors[key]);
+
+    const cells = keys.reduce((acc, key) => {
+        const { levels, weights } = normalized[key];
+        return acc.flatMap(cell => levels.map((v, li) => ({
+            levels: { ...cell.levels, [key]: v },
+            levelIndex: { ...cell.levelIndex, [key]: li },
+            weight: cell.weight * weights[li],
+        })));
+    }, [{ levels: {}, levelIndex: {}, weight: 1 }]);
+
+    const counts = cells.map(c => Math.floor(numTrials * c.weight + 1e-9));
+    let remainder = numTrials - counts.reduce((sum, n) => sum + n, 0);
+
+    // Marginal deficit of one factor level: target count minus allocated count
+    function marginalDeficit(key, levelIdx) {
+        let allocated = 0;
+        cells.forEach((c, ci) => { if (c.levelIndex[key] === levelIdx) allocated += counts[ci]; });
+        return numTrials * normalized[key].weights[levelIdx] - allocated;
     }
 
-    const remainder = numTrials - pool.length;
-    for (let i = 0; i < remainder; i++) {
-        pool.push({ ...cartesianProduct[Math.floor(Math.random() * cartesianProduct.length)] });
+    while (remainder > 0) {
+        let best = -1;
+        let bestDeficit = -Infinity;
+        let bestMarginal = -Infinity;
+        cells.forEach((c, ci) => {
+            if (c.weight === 0) return;
+            const deficit = numTrials * c.weight - counts[ci];
+            const marginal = keys.reduce((sum, key) => sum + marginalDeficit(key, c.levelIndex[key]), 0);
+            if (deficit > bestDeficit + 1e-9
+                || (Math.abs(deficit - bestDeficit) <= 1e-9 && marginal > bestMarginal + 1e-9)) {
+                best = ci;
+                bestDeficit = deficit;
+                bestMarginal = marginal;
+            }
+        });
+        counts[best]++;
+        remainder--;
     }
 
-    // Fisher-Yates shuffle
-    for (let i = pool.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [pool[i], pool[j]] = [pool[j], pool[i]];
-    }
+    const pool = [];
+    cells.forEach((c, ci) => {
+        for (let n = 0; n < counts[ci]; n++) pool.push({ ...c.levels });
+    });
 
-    return pool;
+    return shuffleInPlace(pool, rng);
 }
 
 /**
  * Converts a sequence of relational transitions into absolute task identities.
  *
  * @param {string[]} transitionSequence - e.g., ['First', 'Switch', 'Repeat', ...]
- * @param {string} startTask - 'mov' or 'or'
+ * @param {string} startTask - task of the first trial
+ * @param {string[]} [tasks=DEFAULT_TASKS] - task set; with more than two tasks
+ *   each switch draws one of the other tasks
+ * @param {function(): number} [rng=Math.random]
  * @returns {string[]} Task identity per trial
  */
-function deriveTasksFromTransitions(transitionSequence, startTask) {
+function deriveTasksFromTransitions(transitionSequence, startTask, tasks = DEFAULT_TASKS, rng = Math.random) {
     const taskSequence = [startTask];
     for (let i = 1; i < transitionSequence.length; i++) {
         const prev = taskSequence[i - 1];
-        taskSequence.push(transitionSequence[i] === 'Switch' ? switchTask(prev) : prev);
+        taskSequence.push(transitionSequence[i] === 'Switch' ? switchTask(prev, tasks, rng) : prev);
     }
     return taskSequence;
 }
 
+// ============================================================
+// Sequence constraints
+// ============================================================
+
+// Search budget for applySequenceConstraints: many short randomized searches
+// escape early dead ends faster than one deep backtracking search. Each
+// search may place rows up to CONSTRAINT_STEPS_PER_TRIAL times the block
+// length, so long blocks get the same room to backtrack as short ones.
+const CONSTRAINT_MAX_ATTEMPTS = 200;
+const CONSTRAINT_STEPS_PER_TRIAL = 5;
+
+/**
+ * Length of the run of `value` at the end of `values`.
+ */
+function trailingRunLength(values, value) {
+    let run = 0;
+    for (let i = values.length - 1; i >= 0 && values[i] === value; i--) run++;
+    return run;
+}
+
+/**
+ * Throws if no ordering of `values` can keep every run at or below maxRun:
+ * a value occurring c times needs at least ceil(c / maxRun) - 1 other items
+ * to separate its runs.
+ */
+function assertRunLengthFeasible(values, maxRun, label) {
+    const counts = {};
+    for (const v of values) counts[v] = (counts[v] || 0) + 1;
+    for (const [value, count] of Object.entries(counts)) {
+        const others = values.length - count;
+        if (count > maxRun * (others + 1)) {
+            throw new Error(
+                `Sequence constraints: maxRunLength.${label} = ${maxRun} is unsatisfiable for `
+                + `${values.length} trials (${count} trials of '${value}', only ${others} others)`
+            );
+        }
+    }
+}
+
+/**
+ * Picks items in random order, each draw weighted by weightOf(item)
+ * (item.count by default, so that grouped identical rows are visited as
+ * often as a plain shuffle would).
+ */
+function weightedOrder(groups, rng, weightOf = g => g.count) {
+    const remaining = groups.map(g => ({ g, weight: weightOf(g) }));
+    const ordered = [];
+    while (remaining.length > 0) {
+        const total = remaining.reduce((sum, r) => sum + r.weight, 0);
+        let draw = rng() * total;
+        let idx = 0;
+        while (idx < remaining.length - 1 && (draw -= remaining[idx].weight) >= 0) idx++;
+        ordered.push(remaining.splice(idx, 1)[0].g);
+    }
+    return ordered;
+}
+
+/**
+ * blockConfig.csi as a distribution spec (see sampleFromDistribution). A
+ * plain number, the original form, is a fixed CSI.
+ */
+function csiDistribution(csi) {
+    return typeof csi === 'object' && csi !== null ? csi : { type: 'fixed', value: csi };
+}
+
+/**
+ * Reorders a block's sequence vectors in place so they satisfy
+ * blockConfig.constraints:
+ *
+ *   constraints: {
+ *       maxRunLength: { task: 4, targetDir: 3, congruency: 3, soa: 3 },
+ *       balanceTransitions: true,
+ *   }
+ *
+ * - maxRunLength.task / congruency / soa: no more than N consecutive trials
+ *   with the same value.
+ * - maxRunLength.targetDir: applied by the trial generators, which know each
+ *   trial's direction pool (see resolveTargetDirections).
+ * - balanceTransitions: every (task transition x previous congruency x
+ *   congruency) cell gets an equal count (within one, when numTrials does not
+ *   divide evenly), for congruency sequence analyses.
+ *
+ * Trials 2..n are permuted as whole rows (transition, soa, congruency,
+ * t2Congruency on dual-canvas blocks, compatibility and catchType when
+ * configured, and iti, csi and rci when they are crossed Factorial factors),
+ * so every marginal count the generator produced — switch count, factorial
+ * cell counts, congruency proportions — is preserved; tasks are then
+ * re-derived from the permuted transitions. AABB and RunLength keep their transitions in
+ * place and only the other columns move. Trial 1 never moves.
+ *
+ * @param {object} sequenceData - vectors from generateSequenceVectors (before T2 resolution)
+ * @param {object} blockConfig - must include constraints
+ * @param {function(): number} [rng=Math.random]
+ * @throws {Error} if the constraints cannot be met for this numTrials, or the
+ *   search budget runs out before an order is found
+ */
+function applySequenceConstraints(sequenceData, blockConfig, rng = Math.random) {
+    const constraints = blockConfig.constraints;
+    const maxRun = constraints.maxRunLength ?? {};
+    const numTrials = sequenceData.task1.length;
+    const pinTransitions = blockConfig.sequenceType === 'AABB' || blockConfig.sequenceType === 'RunLength';
+    // ITI, CSI and RCI are never constrained; they only need to travel with their
+    // row when they are crossed Factorial factors. Otherwise leaving them in place
+    // is statistically identical and keeps rows groupable.
+    const moveIti = blockConfig.sequenceType === 'Factorial' && blockConfig.iti?.type === 'choice';
+    const moveCsi = blockConfig.sequenceType === 'Factorial' && blockConfig.csi?.type === 'choice';
+    const moveRci = blockConfig.sequenceType === 'Factorial' && blockConfig.rci?.type === 'choice';
+
+    // --- Up-front feasibility checks for clear error messages ---
+    const movable = sequenceData.transition.slice(1);
+    if (maxRun.task != null) {
+        if (pinTransitions) {
+            const longest = Math.max(...computeRunPositions(sequenceData.task1));
+            if (longest > maxRun.task) {
+                throw new Error(
+                    `Sequence constraints: ${blockConfig.sequenceType} runs of ${longest} `
+                    + `exceed maxRunLength.task = ${maxRun.task}`
+                );
+            }
+        } else {
+            const repeats = movable.filter(t => t === 'Repeat').length;
+            const switches = movable.length - repeats;
+            if (repeats > (maxRun.task - 1) * (switches + 1)) {
+                throw new Error(
+                    `Sequence constraints: maxRunLength.task = ${maxRun.task} is unsatisfiable for `
+                    + `${numTrials} trials with ${switches} switches`
+                );
+            }
+        }
+    }
+    if (maxRun.congruency != null) assertRunLengthFeasible(sequenceData.congruency, maxRun.congruency, 'congruency');
+    if (maxRun.soa != null) assertRunLengthFeasible(sequenceData.soa, maxRun.soa, 'soa');
+
+    // --- Group identical rows so the search branches over distinct rows only ---
+    const groups = new Map();
+    for (let i = 1; i < numTrials; i++) {
+        const row = {
+            transition: pinTransitions ? null : sequenceData.transition[i],
+            soa: sequenceData.soa[i],
+            iti: moveIti ? sequenceData.iti[i] : null,
+            csi: moveCsi ? sequenceData.csi[i] : null,
+            rci: moveRci ? sequenceData.rci[i] : null,
+            congruency: sequenceData.congruency[i],
+            t2Congruency: sequenceData.t2Congruency?.[i] ?? null,
+            compatibility: sequenceData.compatibility?.[i] ?? null,
+            catchType: sequenceData.catchType?.[i] ?? null,
+        };
+        const key = JSON.stringify(row);
+        if (!groups.has(key)) groups.set(key, { row, count: 0 });
+        groups.get(key).count++;
+    }
+
+    const transitionAt = (pos, row) => pinTransitions ? sequenceData.transition[pos] : row.transition;
+
+    // Balance caps: within each (transition, congruency) group, previous
+    // congruency levels are spread evenly
+    const congruencyLevels = [...new Set(sequenceData.congruency)];
+    const balanceCaps = {};
+    if (constraints.balanceTransitions) {
+        const groupSizes = {};
+        for (let i = 1; i < numTrials; i++) {
+            const key = `${sequenceData.transition[i]}|${sequenceData.congruency[i]}`;
+            groupSizes[key] = (groupSizes[key] || 0) + 1;
+        }
+        for (const [key, size] of Object.entries(groupSizes)) {
+            balanceCaps[key] = Math.ceil(size / congruencyLevels.length);
+        }
+    }
+
+    const first = {
+        transition: sequenceData.transition[0],
+        soa: sequenceData.soa[0],
+        iti: sequenceData.iti[0],
+        csi: sequenceData.csi[0],
+        rci: sequenceData.rci[0],
+        congruency: sequenceData.congruency[0],
+        t2Congruency: sequenceData.t2Congruency?.[0] ?? null,
+        compatibility: sequenceData.compatibility?.[0] ?? null,
+        catchType: sequenceData.catchType?.[0] ?? null,
+    };
+
+    // Run-limited columns besides the task, and the columns whose unplaced
+    // counts the pruning below needs
+    const runColumns = ['congruency', 'soa'].filter(column => maxRun[column] != null);
+    const balancePruning = constraints.balanceTransitions && !pinTransitions;
+    const countColumns = balancePruning && !runColumns.includes('congruency')
+        ? [...runColumns, 'congruency']
+        : runColumns;
+
+    // One randomized depth-first search. Its state is updated as rows are
+    // placed and unwound, so a step costs O(distinct values), not O(numTrials):
+    //   repeatRun[pos]      - consecutive Repeat transitions ending at pos
+    //   runs[column][pos]   - length of the run of placed[pos][column] ending at pos
+    //   left                - unplaced rows: in total, with a Repeat transition,
+    //                         per value of each counted column, and per
+    //                         (transition, congruency) balance group
+    //   cellCounts          - placed (transition, previous congruency, congruency) cells
+    // Returns the placement, 'exhausted' when the whole search space was
+    // ruled out, or null when the step budget ran out first.
+    function search() {
+        const placed = [first];
+        const transitions = [first.transition];
+        const repeatRun = [0];
+        const runs = Object.fromEntries(runColumns.map(column => [column, [1]]));
+        const cellCounts = {};
+        const left = { total: 0, repeats: 0, values: {}, groups: {} };
+        for (const column of countColumns) left.values[column] = new Map();
+        const maxSteps = CONSTRAINT_STEPS_PER_TRIAL * numTrials;
+        let steps = 0;
+
+        function adjustLeft(row, delta) {
+            left.total += delta;
+            if (row.transition === 'Repeat') left.repeats += delta;
+            for (const column of countColumns) {
+                left.values[column].set(row[column], (left.values[column].get(row[column]) || 0) + delta);
+            }
+            if (balancePruning) {
+                const key = `${row.transition}|${row.congruency}`;
+                left.groups[key] = (left.groups[key] || 0) + delta;
+            }
+        }
+        for (const group of groups.values()) adjustLeft(group.row, group.count);
+
+        // Whether the unplaced rows can still finish the sequence: a value
+        // with c rows left needs enough other rows between its runs, and
+        // under balanceTransitions the rows that will follow each congruency
+        // level need room in that level's cells. Pruning on this keeps the
+        // search from painting itself into a corner.
+        function remainderFeasible() {
+            if (left.total === 0) return true;
+            const last = placed[placed.length - 1];
+            if (maxRun.task != null && !pinTransitions) {
+                const switches = left.total - left.repeats;
+                const capacity = (maxRun.task - 1 - repeatRun[repeatRun.length - 1]) + (maxRun.task - 1) * switches;
+                if (left.repeats > capacity) return false;
+            }
+            for (const column of runColumns) {
+                const trailing = runs[column][runs[column].length - 1];
+                for (const [value, count] of left.values[column]) {
+                    const run = last[column] === value ? trailing : 0;
+                    if (count > (maxRun[column] - run) + maxRun[column] * (left.total - count)) return false;
+                }
+            }
+            if (balancePruning) {
+                for (const prev of congruencyLevels) {
+                    // Unplaced rows whose predecessor has congruency prev: the
+                    // last placed row and every unplaced prev row but the final one
+                    const prevLeft = left.values.congruency.get(prev) || 0;
+                    const successors = (last.congruency === prev ? 1 : 0) + prevLeft - (prevLeft > 0 ? 1 : 0);
+                    let room = 0;
+                    for (const [key, count] of Object.entries(left.groups)) {
+                        if (count === 0) continue;
+                        const [transition, congruency] = key.split('|');
+                        room += Math.min(count, balanceCaps[key] - (cellCounts[`${transition}|${prev}|${congruency}`] || 0));
+                    }
+                    if (successors > room) return false;
+                }
+            }
+            return true;
+        }
+
+        function canPlace(row, pos) {
+            const transition = transitionAt(pos, row);
+            if (maxRun.task != null && transition === 'Repeat' && repeatRun[pos - 1] + 1 > maxRun.task - 1) {
+                return false;
+            }
+            for (const column of runColumns) {
+                const run = placed[pos - 1][column] === row[column] ? runs[column][pos - 1] : 0;
+                if (run + 1 > maxRun[column]) return false;
+            }
+            if (constraints.balanceTransitions) {
+                const cell = `${transition}|${placed[pos - 1].congruency}|${row.congruency}`;
+                if ((cellCounts[cell] || 0) + 1 > balanceCaps[`${transition}|${row.congruency}`]) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        // Candidate weights: under balanceTransitions a row's count times a
+        // steep power of the room left in the cell it would fill, so cells
+        // fill evenly along the block instead of all running tight at its end
+        function cellWeight(pos) {
+            if (!constraints.balanceTransitions) return undefined;
+            return group => {
+                const transition = transitionAt(pos, group.row);
+                const cell = `${transition}|${placed[pos - 1].congruency}|${group.row.congruency}`;
+                const room = balanceCaps[`${transition}|${group.row.congruency}`] - (cellCounts[cell] || 0);
+                return group.count * Math.max(room, 0) ** 4;
+            };
+        }
+
+        let outOfSteps = false;
+        function place(pos) {
+            if (pos === numTrials) return true;
+            if (++steps > maxSteps) {
+                outOfSteps = true;
+                return false;
+            }
+            const candidates = weightedOrder([...groups.values()].filter(g => g.count > 0), rng, cellWeight(pos));
+            for (const group of candidates) {
+                const row = group.row;
+                if (!canPlace(row, pos)) continue;
+                const transition = transitionAt(pos, row);
+                const prevRow = placed[pos - 1];
+                const cell = `${transition}|${prevRow.congruency}|${row.congruency}`;
+                group.count--;
+                adjustLeft(row, -1);
+                placed.push(row);
+                transitions.push(transition);
+                repeatRun.push(transition === 'Repeat' ? repeatRun[pos - 1] + 1 : 0);
+                for (const column of runColumns) {
+                    runs[column].push(prevRow[column] === row[column] ? runs[column][pos - 1] + 1 : 1);
+                }
+                cellCounts[cell] = (cellCounts[cell] || 0) + 1;
+                if (remainderFeasible() && place(pos + 1)) return true;
+                group.count++;
+                adjustLeft(row, 1);
+                placed.pop();
+                transitions.pop();
+                repeatRun.pop();
+                for (const column of runColumns) runs[column].pop();
+                cellCounts[cell]--;
+                if (outOfSteps) return false;
+            }
+            return false;
+        }
+
+        // A failed search unwinds every placement, so groups are intact for the next attempt
+        if (place(1)) return { placed, transitions };
+        return outOfSteps ? null : 'exhausted';
+    }
+
+    let result = null;
+    for (let attempt = 0; attempt < CONSTRAINT_MAX_ATTEMPTS && !result; attempt++) {
+        result = search();
+    }
+    if (result === 'exhausted') {
+        throw new Error(
+            `Sequence constraints could not be satisfied for ${numTrials} trials `
+            + `(${JSON.stringify(constraints)}); relax them or change numTrials`
+        );
+    }
+    if (!result) {
+        throw new Error(
+            `Sequence constraints: the search budget (${CONSTRAINT_MAX_ATTEMPTS} attempts) ran out for `
+            + `${numTrials} trials (${JSON.stringify(constraints)}) without finding an order; `
+            + `the constraints may still be satisfiable, but relaxing them or changing numTrials will help`
+        );
+    }
+
+    sequenceData.transition = result.transitions;
+    sequenceData.soa = result.placed.map(r => r.soa);
+    if (moveIti) sequenceData.iti = result.placed.map(r => r.iti);
+    if (moveCsi) sequenceData.csi = result.placed.map(r => r.csi);
+    if (moveRci) sequenceData.rci = result.placed.map(r => r.rci);
+    sequenceData.congruency = result.placed.map(r => r.congruency);
+    if (sequenceData.t2Congruency) sequenceData.t2Congruency = result.placed.map(r => r.t2Congruency);
+    if (sequenceData.compatibility) sequenceData.compatibility = result.placed.map(r => r.compatibility);
+    if (sequenceData.catchType) sequenceData.catchType = result.placed.map(r => r.catchType);
+    if (!pinTransitions) {
+        sequenceData.task1 = deriveTasksFromTransitions(
+            sequenceData.transition, sequenceData.task1[0], resolveTasks(blockConfig), rng
+        );
+    }
+}
+
 /**
  * Phase 1: Sequence generation for all paradigms.
  * Resolves task identities, transitions, timing, and congruency into parallel vectors.
  *
  * Supports two sequence generation modes:
- * - 'Factorial': Fully crossed design with balanced factor cells.
- *   Requires switchRate 0 (pure) or 50 (balanced Switch/Repeat).
- * - Stochastic ('Random', 'AABB'): Existing probabilistic generation.
+ * - 'Factorial': Fully crossed design with cell counts in exact proportion.
+ *   Transition is weighted Repeat (100 - switchRate) : Switch (switchRate),
+ *   congruency by its proportions, and choice SOA/ITI/CSI by their optional weights.
+ * - Stochastic ('Random', 'Exact', 'AABB', 'RunLength'): Existing probabilistic
+ *   generation. 'Exact' honours blockConfig.maxRunLength; 'RunLength' takes
+ *   its run length from blockConfig.runLength (see generateTaskSequence).
+ *
+ * blockConfig.csi is a number or, to vary preparation time within the block,
+ * a distribution spec like soa and iti; the csi vector holds each trial's
+ * value (see csiDistribution).
+ *
+ * blockConfig.rci, a distribution spec, sets a response-cue interval per
+ * trial that replaces the ITI as the wait before the cue; the session
+ * measures it from the previous response (see rciAnchor). The rci vector is
+ * null without it. Overlapping alternating-prp trials are scheduled by SOA
+ * and take no RCI.
+ *
+ * blockConfig.constraints, if present, is applied to the generated vectors
+ * (see applySequenceConstraints) and may add a targetDir vector.
+ *
+ * realizedSwitchRate is the percentage of sequential task switches actually
+ * generated, measured before T2 resolution (so for prp-baseline it describes
+ * the displayed task and for dual-canvas the T1 sequence). n2Transition and
+ * runPosition label the same sequence (see classifyN2Transitions and
+ * computeRunPositions).
+ *
+ * blockConfig.tasks declares the task set (default ['mov', 'or']); with three
+ * or more tasks, each switch moves to one of the other tasks at random.
+ *
+ * Dual-canvas blocks may give each canvas its own congruency design:
+ * blockConfig.t1Congruency (falling back to congruency) fills the congruency
+ * vector and blockConfig.t2Congruency fills t2Congruency, generated
+ * independently (or crossed as a factor under 'Factorial'). Without
+ * t2Congruency both canvases share one label per trial.
+ *
+ * Dual-task and dual-canvas blocks may set blockConfig.crossTaskCompatibility
+ * ({ conditions: ['compatible', 'incompatible'], proportions: [...] }), which
+ * fills the compatibility vector the same way (a crossed factor under
+ * 'Factorial'). Trial generators use it to put T2's response key on the
+ * same side as T1's or the other one (see compatibleDirection).
+ *
+ * Likewise blockConfig.catch ({ conditions: ['both', 't1-only', 't2-only'],
+ * proportions: [...] }) fills the catchType vector: on 't1-only' trials T2 is
+ * omitted, on 't2-only' trials T1 is omitted.
  *
  * @param {object} blockConfig - Block-level configuration
  * @param {number} numTrials
+ * @param {function(): number} [rng=Math.random]
  * @returns {{ task1: string[], task2: string[], transition: string[],
- *             soa: (number|null)[], iti: number[], congruency: string[] }}
+ *             soa: (number|null)[], iti: number[], csi: number[], rci: (number|null)[], congruency: string[],
+ *             realizedSwitchRate: number|null, n2Transition: (string|null)[], runPosition: number[],
+ *             t2Congruency?: string[], compatibility?: string[],
+ *             catchType?: string[] }}
  */
-function generateSequenceVectors(blockConfig, numTrials) {
-    const sequenceData = { task1: [], task2: [], transition: [], soa: [], iti: [], congruency: [] };
+function generateSequenceVectors(blockConfig, numTrials, rng = Math.random) {
+    const sequenceData = { task1: [], task2: [], transition: [], soa: [], iti: [], csi: [], rci: [], congruency: [] };
+    const tasks = resolveTasks(blockConfig);
+    const csiConfig = csiDistribution(blockConfig.csi);
 
     // Default congruency for paradigms that don't specify it (alternating, prp-baseline)
-    const congruencyConfig = blockConfig.congruency || { conditions: ['univalent'], proportions: [1.0] };
+    const isDualCanvas = blockConfig.paradigm === 'dual-canvas';
+    const congruencyConfig = (isDualCanvas ? blockConfig.t1Congruency : null)
+        || blockConfig.congruency
+        || { conditions: ['univalent'], proportions: [1.0] };
+    const t2CongruencyConfig = isDualCanvas ? blockConfig.t2Congruency : null;
+    const compatibilityConfig = blockConfig.crossTaskCompatibility ?? null;
+    const catchConfig = blockConfig.catch ?? null;
 
     // Resolve effective start task: dual-task paradigms use task1 field,
     // others use startTask (which can be null for random coin flip)
@@ -217,56 +1032,166 @@ function generateSequenceVectors(blockConfig, numTrials) {
         ? (blockConfig.task1 ?? blockConfig.startTask)
         : blockConfig.startTask;
 
+    if (compatibilityConfig && !isDualTaskParadigm) {
+        throw new Error(
+            `Block '${blockConfig.blockId}': crossTaskCompatibility needs two tasks per trial `
+            + `(dual-task, dual-canvas or dual-prp), got paradigm '${blockConfig.paradigm}'`
+        );
+    }
+    if (catchConfig && !isDualTaskParadigm) {
+        throw new Error(
+            `Block '${blockConfig.blockId}': catch trials need a dual-task or dual-canvas block, `
+            + `got paradigm '${blockConfig.paradigm}'`
+        );
+    }
+    if (blockConfig.rci && blockConfig.paradigm === 'alternating-prp') {
+        throw new Error(`Block '${blockConfig.blockId}': alternating-prp trials overlap and take no rci`);
+    }
+    if (blockConfig.soa?.type === 'adaptive') {
+        if (!['dual-task', 'dual-canvas', 'prp-baseline'].includes(blockConfig.paradigm)) {
+            throw new Error(
+                `Block '${blockConfig.blockId}': adaptive SOA needs a dual-task, dual-canvas or prp-baseline block, `
+                + `got paradigm '${blockConfig.paradigm}'`
+            );
+        }
+        if (blockConfig.soa.measure === 'grouping' && blockConfig.paradigm === 'prp-baseline') {
+            throw new Error(`Block '${blockConfig.blockId}': prp-baseline has no T1 response to group with`);
+        }
+    }
+    if (catchConfig) {
+        const unknown = catchConfig.conditions.filter(c => !CATCH_TYPES.includes(c));
+        if (unknown.length > 0) {
+            throw new Error(`Block '${blockConfig.blockId}': unknown catch condition(s) ${unknown.join(', ')}`);
+        }
+    }
+
     if (blockConfig.sequenceType === 'Factorial') {
-        if (blockConfig.switchRate !== 50 && blockConfig.switchRate !== 0) {
+        if (!(blockConfig.switchRate >= 0 && blockConfig.switchRate <= 100)) {
             throw new Error(
-                `Factorial sequence requires switchRate 50 (balanced Switch/Repeat) or 0 (pure). Got: ${blockConfig.switchRate}`
+                `Factorial sequence requires switchRate between 0 and 100. Got: ${blockConfig.switchRate}`
             );
         }
 
         const factors = {};
-        if (blockConfig.switchRate === 50) factors.transition = ['Repeat', 'Switch'];
-        if (blockConfig.soa?.type === 'choice') factors.soa = blockConfig.soa.params;
-        if (blockConfig.iti?.type === 'choice') factors.iti = blockConfig.iti.params;
-        if (congruencyConfig.conditions.length > 1) factors.congruency = congruencyConfig.conditions;
+        if (blockConfig.switchRate > 0) {
+            factors.transition = {
+                levels: ['Repeat', 'Switch'],
+                weights: [100 - blockConfig.switchRate, blockConfig.switchRate],
+            };
+        }
+        if (blockConfig.soa?.type === 'choice') {
+            factors.soa = { levels: blockConfig.soa.params, weights: blockConfig.soa.weights };
+        }
+        if (blockConfig.iti?.type === 'choice') {
+            factors.iti = { levels: blockConfig.iti.params, weights: blockConfig.iti.weights };
+        }
+        if (csiConfig.type === 'choice') {
+            factors.csi = { levels: csiConfig.params, weights: csiConfig.weights };
+        }
+        if (blockConfig.rci?.type === 'choice') {
+            factors.rci = { levels: blockConfig.rci.params, weights: blockConfig.rci.weights };
+        }
+        if (congruencyConfig.conditions.length > 1) {
+            factors.congruency = { levels: congruencyConfig.conditions, weights: congruencyConfig.proportions };
+        }
+        if (t2CongruencyConfig?.conditions.length > 1) {
+            factors.t2Congruency = { levels: t2CongruencyConfig.conditions, weights: t2CongruencyConfig.proportions };
+        }
+        if (compatibilityConfig?.conditions.length > 1) {
+            factors.compatibility = { levels: compatibilityConfig.conditions, weights: compatibilityConfig.proportions };
+        }
+        if (catchConfig?.conditions.length > 1) {
+            factors.catchType = { levels: catchConfig.conditions, weights: catchConfig.proportions };
+        }
 
-        const crossed = generateFactorialSequence(numTrials, factors);
+        const crossed = generateFactorialSequence(numTrials, factors, rng);
 
         sequenceData.transition = crossed.map(c => c.transition || 'Repeat');
         if (sequenceData.transition.length > 0) {
             sequenceData.transition[0] = 'First';
         }
 
-        const initialTask = effectiveStartTask ?? (Math.random() < 0.5 ? 'mov' : 'or');
-        sequenceData.task1 = deriveTasksFromTransitions(sequenceData.transition, initialTask);
+        const initialTask = effectiveStartTask ?? randomTask(tasks, rng);
+        sequenceData.task1 = deriveTasksFromTransitions(sequenceData.transition, initialTask, tasks, rng);
 
         sequenceData.soa = crossed.map(c =>
-            c.soa !== undefined ? c.soa : (blockConfig.soa ? sampleFromDistribution(blockConfig.soa) : null)
+            c.soa !== undefined ? c.soa : (blockConfig.soa ? sampleFromDistribution(blockConfig.soa, rng) : null)
         );
         sequenceData.iti = crossed.map(c =>
-            c.iti !== undefined ? c.iti : sampleFromDistribution(blockConfig.iti)
+            c.iti !== undefined ? c.iti : sampleFromDistribution(blockConfig.iti, rng)
+        );
+        sequenceData.csi = crossed.map(c =>
+            c.csi !== undefined ? c.csi : sampleFromDistribution(csiConfig, rng)
+        );
+        sequenceData.rci = crossed.map(c =>
+            c.rci !== undefined ? c.rci : (blockConfig.rci ? sampleFromDistribution(blockConfig.rci, rng) : null)
         );
         sequenceData.congruency = crossed.map(c =>
             c.congruency || congruencyConfig.conditions[0] || 'univalent'
         );
+        if (t2CongruencyConfig) {
+            sequenceData.t2Congruency = crossed.map(c =>
+                c.t2Congruency || t2CongruencyConfig.conditions[0] || 'univalent'
+            );
+        }
+        if (compatibilityConfig) {
+            sequenceData.compatibility = crossed.map(c => c.compatibility || compatibilityConfig.conditions[0]);
+        }
+        if (catchConfig) {
+            sequenceData.catchType = crossed.map(c => c.catchType || catchConfig.conditions[0]);
+        }
 
     } else {
-        // Stochastic generation (Random, AABB)
+        // Stochastic generation (Random, Exact, AABB, RunLength)
         sequenceData.task1 = generateTaskSequence(
-            numTrials, blockConfig.sequenceType, blockConfig.switchRate, effectiveStartTask
+            numTrials, blockConfig.sequenceType, blockConfig.switchRate, effectiveStartTask, rng,
+            { maxRunLength: blockConfig.maxRunLength, runLength: blockConfig.runLength, tasks }
         );
         sequenceData.transition = classifyTransitions(sequenceData.task1);
         sequenceData.soa = Array.from({ length: numTrials }, () =>
-            blockConfig.soa ? sampleFromDistribution(blockConfig.soa) : null
+            blockConfig.soa ? sampleFromDistribution(blockConfig.soa, rng) : null
         );
         sequenceData.iti = Array.from({ length: numTrials }, () =>
-            sampleFromDistribution(blockConfig.iti)
+            sampleFromDistribution(blockConfig.iti, rng)
+        );
+        sequenceData.csi = Array.from({ length: numTrials }, () =>
+            sampleFromDistribution(csiConfig, rng)
+        );
+        sequenceData.rci = Array.from({ length: numTrials }, () =>
+            blockConfig.rci ? sampleFromDistribution(blockConfig.rci, rng) : null
         );
         sequenceData.congruency = generateCongruencySequence(
-            numTrials, congruencyConfig.conditions, congruencyConfig.proportions
+            numTrials, congruencyConfig.conditions, congruencyConfig.proportions, rng
         );
+        if (t2CongruencyConfig) {
+            sequenceData.t2Congruency = generateCongruencySequence(
+                numTrials, t2CongruencyConfig.conditions, t2CongruencyConfig.proportions, rng
+            );
+        }
+        if (compatibilityConfig) {
+            sequenceData.compatibility = generateCongruencySequence(
+                numTrials, compatibilityConfig.conditions, compatibilityConfig.proportions, rng
+            );
+        }
+        if (catchConfig) {
+            sequenceData.catchType = generateCongruencySequence(
+                numTrials, catchConfig.conditions, catchConfig.proportions, rng
+            );
+        }
+    }
+
+    if (isDualCanvas && !sequenceData.t2Congruency) {
+        sequenceData.t2Congruency = [...sequenceData.congruency];
+    }
+
+    if (blockConfig.constraints) {
+        applySequenceConstraints(sequenceData, blockConfig, rng);
     }
 
+    sequenceData.realizedSwitchRate = computeSwitchRate(sequenceData.transition);
+    sequenceData.n2Transition = classifyN2Transitions(sequenceData.task1);
+    sequenceData.runPosition = computeRunPositions(sequenceData.task1);
+
     // Resolve Task 2 based on paradigm and t2Rule
     // Default: single-canvas PRP always switches T1->T2; dual-canvas defaults to independent
     const effectiveT2Rule = blockConfig.t2Rule
@@ -276,10 +1201,12 @@ function generateSequenceVectors(blockConfig, numTrials) {
         if (effectiveT2Rule === 'same') {
             sequenceData.task2 = [...sequenceData.task1];
         } else if (effectiveT2Rule === 'switch') {
-            sequenceData.task2 = sequenceData.task1.map(switchTask);
+            sequenceData.task2 = sequenceData.task1.map(task => switchTask(task, tasks, rng));
         } else if (effectiveT2Rule === 'independent') {
-            // Always Random with switchRate 50 for truly independent T2 sampling
-            sequenceData.task2 = generateTaskSequence(numTrials, 'Random', 50, null);
+            // Random with switch probability (n - 1) / n: each trial's T2 is
+            // uniform over the task set (50% for two tasks)
+            const independentRate = 100 * (tasks.length - 1) / tasks.length;
+            sequenceData.task2 = generateTaskSequence(numTrials, 'Random', independentRate, null, rng, { tasks });
         } else {
             throw new Error(`Unknown t2Rule: '${effectiveT2Rule}'`);
         }
@@ -288,7 +1215,7 @@ function generateSequenceVectors(blockConfig, numTrials) {
         sequenceData.task2 = [...sequenceData.task1];
         sequenceData.task1 = Array(numTrials).fill(null);
     } else {
-        // Single-task or alternating: no T2
+        // Single-task or alternating(-prp): no T2
         sequenceData.task2 = Array(numTrials).fill(null);
     }
 
@@ -308,6 +1235,167 @@ function generateSequenceVectors(blockConfig, numTrials) {
 // Direction assignment
 // ============================================================
 
+/**
+ * Direction pool for a task: the directions of its key map, or horizontal
+ * [0, 180] without keyMaps.
+ */
+function directionPool(keyMaps, task) {
+    return keyMaps ? Object.keys(keyMaps[task]).map(Number) : [0, 180];
+}
+
+/**
+ * Target directions balanced exactly within a block (blockConfig.balanceTargetDir).
+ * Trials are grouped by task and direction pool; each group uses every
+ * direction of its pool equally often (within one when the group size does
+ * not divide evenly, the extra trials going to randomly chosen directions),
+ * in shuffled order.
+ *
+ * @param {string[]} taskSequence - the task whose target is balanced, per trial
+ * @param {function(number): number[]} poolFor - direction pool of trial i
+ * @param {function(): number} [rng=Math.random]
+ * @returns {number[]}
+ */
+function balanceTargetDirections(taskSequence, poolFor, rng = Math.random) {
+    const groups = new Map();
+    taskSequence.forEach((task, i) => {
+        const pool = poolFor(i);
+        const key = `${task}:${pool.join(',')}`;
+        if (!groups.has(key)) groups.set(key, { pool, indices: [] });
+        groups.get(key).indices.push(i);
+    });
+
+    const directions = new Array(taskSequence.length);
+    for (const { pool, indices } of groups.values()) {
+        const order = shuffleInPlace([...pool], rng);
+        const assigned = shuffleInPlace(indices.map((_, k) => order[k % order.length]), rng);
+        indices.forEach((trial, k) => { directions[trial] = assigned[k]; });
+    }
+    return directions;
+}
+
+/**
+ * Target directions drawn from each trial's pool with no run of one
+ * direction longer than maxRun (blockConfig.constraints.maxRunLength.targetDir).
+ *
+ * @param {string[]} taskSequence - the task whose target is constrained, per trial
+ * @param {function(number): number[]} poolFor - direction pool of trial i
+ * @param {number} maxRun
+ * @param {function(): number} [rng=Math.random]
+ * @returns {number[]}
+ * @throws {Error} if a pool has a single direction
+ */
+function runLimitedTargetDirections(taskSequence, poolFor, maxRun, rng = Math.random) {
+    const directions = [];
+    taskSequence.forEach((task, i) => {
+        const last = directions[directions.length - 1];
+        const pool = trailingRunLength(directions, last) >= maxRun
+            ? poolFor(i).filter(d => d !== last)
+            : poolFor(i);
+        if (pool.length === 0) {
+            throw new Error(
+                `Sequence constraints: maxRunLength.targetDir = ${maxRun} needs at least `
+                + `two directions for task '${task}'`
+            );
+        }
+        directions.push(pool[Math.floor(rng() * pool.length)]);
+    });
+    return directions;
+}
+
+/**
+ * Pre-assigned target directions for a block: balanced when
+ * blockConfig.balanceTargetDir is set, run-limited when
+ * constraints.maxRunLength.targetDir is. Both draw from poolFor, the same
+ * per-trial pool the generator assigns directions from. null means each
+ * trial draws from its pool.
+ */
+function resolveTargetDirections(blockConfig, taskSequence, poolFor, rng) {
+    const maxRun = blockConfig.constraints?.maxRunLength?.targetDir ?? null;
+    if (blockConfig.balanceTargetDir && maxRun !== null) {
+        throw new Error(
+            `Block '${blockConfig.blockId}': balanceTargetDir cannot be combined with maxRunLength.targetDir`
+        );
+    }
+    if (blockConfig.balanceTargetDir) return balanceTargetDirections(taskSequence, poolFor, rng);
+    return maxRun === null ? null : runLimitedTargetDirections(taskSequence, poolFor, maxRun, rng);
+}
+
+// Keys of a task without a key map: each hand's default 0/180 pair,
+// left key for 180 and right key for 0
+const DEFAULT_RESPONSE_KEYS = { 180: 'a', 0: 'd' };
+
+// Keyboard column of each key, for telling the response sides apart
+const KEY_COLUMNS = (() => {
+    const columns = { arrowleft: 0, arrowup: 1, arrowdown: 1, arrowright: 2 };
+    for (const row of ['1234567890', 'qwertyuiop', 'asdfghjkl;', 'zxcvbnm,./']) {
+        [...row].forEach((key, column) => { columns[key] = column; });
+    }
+    return columns;
+})();
+
+// Numeric keypad columns, for key maps made only of digits (e.g. the
+// 4/5/6/8 cluster), whose up and down keys share the centre column
+const NUMPAD_COLUMNS = { 7: 0, 4: 0, 1: 0, 0: 0.5, 8: 1, 5: 1, 2: 1, 9: 2, 6: 2, 3: 2 };
+
+/**
+ * Response side of the key for `dir` within its key map: 'left' or 'right'
+ * of the map's centre column, null for a key on it (e.g. W and S in WASD).
+ * A map of digit keys is read as the numeric keypad.
+ *
+ * @param {object} keyMap - direction -> key
+ * @param {number} dir
+ * @returns {string|null}
+ * @throws {Error} if a key's position on the keyboard is unknown
+ */
+function responseSide(keyMap, dir) {
+    const keys = Object.values(keyMap);
+    const columns = keys.every(key => /^[0-9]$/.test(String(key))) ? NUMPAD_COLUMNS : KEY_COLUMNS;
+    const columnOf = key => {
+        const column = columns[String(key).toLowerCase()];
+        if (column === undefined) throw new Error(`Cannot place response key '${key}' on the keyboard`);
+        return column;
+    };
+    const centre = keys.reduce((sum, key) => sum + columnOf(key), 0) / keys.length;
+    const column = columnOf(keyMap[dir]);
+    if (column === centre) return null;
+    return column < centre ? 'left' : 'right';
+}
+
+/**
+ * T2 target direction for a cross-task compatibility label: 'compatible'
+ * picks the T2 direction whose key is on the same response side as T1's
+ * key, 'incompatible' the one on the other side. Sides come from the key
+ * maps (see responseSide), so they hold for vertical or remapped pools.
+ *
+ * @param {number} t1Dir - T1 target direction
+ * @param {string} compatibility - 'compatible' | 'incompatible'
+ * @param {object|null} t1KeyMap - T1's key map; DEFAULT_RESPONSE_KEYS when null
+ * @param {object|null} t2KeyMap - T2's key map; DEFAULT_RESPONSE_KEYS when null
+ * @param {function(): number} [rng=Math.random] - picks among several T2
+ *   directions on the required side
+ * @returns {number}
+ * @throws {Error} if T1's key has no side or T2 has no key on the required side
+ */
+function compatibleDirection(t1Dir, compatibility, t1KeyMap, t2KeyMap, rng = Math.random) {
+    if (compatibility !== 'compatible' && compatibility !== 'incompatible') {
+        throw new Error(`Unknown cross-task compatibility: '${compatibility}'`);
+    }
+    const t1Keys = t1KeyMap ?? DEFAULT_RESPONSE_KEYS;
+    const t2Keys = t2KeyMap ?? DEFAULT_RESPONSE_KEYS;
+    const t1Side = responseSide(t1Keys, t1Dir);
+    if (t1Side === null) {
+        throw new Error(`Cross-task compatibility needs T1's key for direction ${t1Dir} to be left or right of its map`);
+    }
+    const side = compatibility === 'compatible' ? t1Side : (t1Side === 'left' ? 'right' : 'left');
+    const candidates = Object.keys(t2Keys).map(Number).filter(dir => responseSide(t2Keys, dir) === side);
+    if (candidates.length === 0) {
+        throw new Error(
+            `Cross-task compatibility '${compatibility}' needs a ${side} key in T2's key map ${JSON.stringify(t2Keys)}`
+        );
+    }
+    return candidates[Math.floor(rng() * candidates.length)];
+}
+
 /**
  * Assigns the four direction values for a trial's spec.dir object.
  *
@@ -315,28 +1403,36 @@ function generateSequenceVectors(blockConfig, numTrials) {
  * to use different spatial dimensions (e.g., horizontal movement + vertical
  * orientation). Without keyMaps, defaults to horizontal [0, 180] for all tasks.
  *
- * @param {string} task - primary task ('mov' or 'or'), used for single-task routing
+ * @param {string} task - primary task (e.g. 'mov' or 'or'), used for single-task routing
  * @param {string} congruency - 'congruent'|'incongruent'|'neutral'|'univalent'
  * @param {string} paradigm - 'single-task' or 'dual-task'
  * @param {string} rso - 'identical' or 'disjoint' (unused, kept for signature compat)
- * @param {{ mov: object, or: object }} [keyMaps] - key maps from block config.
+ * @param {Object<string, object>} [keyMaps] - key maps from block config, keyed by task.
  *   Direction pools are derived from the keys (e.g., {180:'a', 0:'d'} -> [0, 180]).
+ * @param {function(): number} [rng=Math.random]
+ * @param {number|null} [targetDir] - pre-assigned primary direction (e.g. from a
+ *   constrained targetDir vector); drawn from the task's pool when null
+ * @param {string|null} [task2] - dual-task only: the T2 task whose pool ch2 draws
+ *   from; defaults to switchTask(task)
+ * @param {string|null} [compatibility] - dual-task only: 'compatible' or
+ *   'incompatible' fixes ch2's direction relative to ch1's; drawn independently when null
  * @returns {{ ch1_task: number, ch1_distractor: number, ch2_task: number, ch2_distractor: number }}
  */
-function assignDirections(task, congruency, paradigm, rso, keyMaps) {
-    const defaultDirs = [0, 180];
-    const taskDirPool = keyMaps ? Object.keys(keyMaps[task]).map(Number) : defaultDirs;
+function assignDirections(task, congruency, paradigm, rso, keyMaps, rng = Math.random, targetDir = null, task2 = null,
+                          compatibility = null) {
+    const taskDirPool = directionPool(keyMaps, task);
 
     function randomFrom(pool) {
-        return pool[Math.floor(Math.random() * pool.length)];
+        return pool[Math.floor(rng() * pool.length)];
     }
 
     if (paradigm === 'dual-task') {
-        const otherDirPool = keyMaps
-            ? Object.keys(keyMaps[switchTask(task)]).map(Number)
-            : defaultDirs;
-        const ch1Dir = randomFrom(taskDirPool);
-        const ch2Dir = randomFrom(otherDirPool);
+        const otherTask = task2 ?? switchTask(task);
+        const otherDirPool = directionPool(keyMaps, otherTask);
+        const ch1Dir = targetDir ?? randomFrom(taskDirPool);
+        const ch2Dir = compatibility
+            ? compatibleDirection(ch1Dir, compatibility, keyMaps?.[task], keyMaps?.[otherTask], rng)
+            : randomFrom(otherDirPool);
         return {
             ch1_task: ch1Dir,
             ch1_distractor: 0,  // no within-channel distractors in dual-task
@@ -346,7 +1442,7 @@ function assignDirections(task, congruency, paradigm, rso, keyMaps) {
     }
 
     // Single-task
-    const primaryDir = randomFrom(taskDirPool);
+    const primaryDir = targetDir ?? randomFrom(taskDirPool);
     let distractorDir = 0;
 
     if (congruency === 'congruent') {
@@ -354,12 +1450,15 @@ function assignDirections(task, congruency, paradigm, rso, keyMaps) {
     } else if (congruency === 'incongruent') {
         distractorDir = (primaryDir + 180) % 360;
     } else if (congruency === 'neutral') {
-        // With keyMaps: distractor from other task's pool (orthogonal by design).
-        // Without keyMaps: default to [90, 270] for backward compat.
-        const neutralPool = keyMaps
-            ? Object.keys(keyMaps[switchTask(task)]).map(Number)
-            : [90, 270];
-        distractorDir = randomFrom(neutralPool);
+        // With keyMaps: distractor from the other tasks' pools, minus the target
+        // axis (four-direction pools include it). Without keyMaps, or when
+        // nothing orthogonal is left: the two orthogonal directions.
+        const orthogonal = [(primaryDir + 90) % 360, (primaryDir + 270) % 360].sort((a, b) => a - b);
+        const otherDirs = keyMaps
+            ? Object.keys(keyMaps).filter(t => t !== task).flatMap(t => Object.keys(keyMaps[t]).map(Number))
+            : [];
+        const neutralPool = otherDirs.filter(d => orthogonal.includes(d));
+        distractorDir = randomFrom(neutralPool.length > 0 ? neutralPool : orthogonal);
     }
     // 'univalent': distractorDir stays 0, coherence silences the pathway
 
@@ -375,57 +1474,43 @@ function assignDirections(task, congruency, paradigm, rso, keyMaps) {
 // SE parameter builders
 // ============================================================
 
-function buildCoherenceParams(spec) {
-    const coherenceParams = {};
-    if (spec.task1 === 'mov') {
-        coherenceParams.coh_mov_1 = spec.coherence.ch1_task;
-        coherenceParams.coh_or_1 = spec.coherence.ch1_distractor;
-    } else if (spec.task1 === 'or') {
-        coherenceParams.coh_or_1 = spec.coherence.ch1_task;
-        coherenceParams.coh_mov_1 = spec.coherence.ch1_distractor;
+/**
+ * Routes channel-indexed values (ch1_task, ch1_distractor, ...) to the
+ * task-indexed SE fields `${prefix}_<task>_<channel>`. On a channel, the
+ * active task's pathway gets the target value and every other task's pathway
+ * the distractor value. An inactive channel 2 (task2 null) is zeroed.
+ */
+function routeChannelValues(prefix, spec, values) {
+    const tasks = spec.tasks ?? DEFAULT_TASKS;
+    const params = {};
+    if (tasks.includes(spec.task1)) {
+        for (const t of tasks) {
+            params[`${prefix}_${t}_1`] = t === spec.task1 ? values.ch1_task : values.ch1_distractor;
+        }
     }
 
     if (spec.task2 !== null) {
-        if (spec.task2 === 'mov') {
-            coherenceParams.coh_mov_2 = spec.coherence.ch2_task;
-            coherenceParams.coh_or_2 = spec.coherence.ch2_distractor;
-        } else if (spec.task2 === 'or') {
-            coherenceParams.coh_or_2 = spec.coherence.ch2_task;
-            coherenceParams.coh_mov_2 = spec.coherence.ch2_distractor;
+        if (tasks.includes(spec.task2)) {
+            for (const t of tasks) {
+                params[`${prefix}_${t}_2`] = t === spec.task2 ? values.ch2_task : values.ch2_distractor;
+            }
         }
     } else {
-        coherenceParams.coh_mov_2 = 0;
-        coherenceParams.coh_or_2 = 0;
+        for (const t of tasks) params[`${prefix}_${t}_2`] = 0;
     }
-    return coherenceParams;
+    return params;
 }
 
-function buildDirectionParams(spec) {
-    const directionParams = {};
-    if (spec.task1 === 'mov') {
-        directionParams.dir_mov_1 = spec.dir.ch1_task;
-        directionParams.dir_or_1 = spec.dir.ch1_distractor;
-    } else if (spec.task1 === 'or') {
-        directionParams.dir_or_1 = spec.dir.ch1_task;
-        directionParams.dir_mov_1 = spec.dir.ch1_distractor;
-    }
+function buildCoherenceParams(spec) {
+    return routeChannelValues('coh', spec, spec.coherence);
+}
 
-    if (spec.task2 !== null) {
-        if (spec.task2 === 'mov') {
-            directionParams.dir_mov_2 = spec.dir.ch2_task;
-            directionParams.dir_or_2 = spec.dir.ch2_distractor;
-        } else if (spec.task2 === 'or') {
-            directionParams.dir_or_2 = spec.dir.ch2_task;
-            directionParams.dir_mov_2 = spec.dir.ch2_distractor;
-        }
-    } else {
-        directionParams.dir_mov_2 = 0;
-        directionParams.dir_or_2 = 0;
-    }
-    return directionParams;
+function buildDirectionParams(spec) {
+    return routeChannelValues('dir', spec, spec.dir);
 }
 
 function buildTimingParams(spec) {
+    const tasks = spec.tasks ?? DEFAULT_TASKS;
     const timingParams = {};
 
     // Channel 1 cue and go signal (absolute timing)
@@ -434,13 +1519,13 @@ function buildTimingParams(spec) {
     timingParams.start_go_1 = spec.csi;
     timingParams.dur_go_1 = spec.responseWindow;
 
-    // Channel 1 stimulus — both pathways get same timing here.
+    // Channel 1 stimulus — every task pathway gets the same timing here.
     // buildTrialParams zeros out pathways with coh=0 after routing,
     // since the SE package renders coh=0 as random noise, not invisible.
-    timingParams.start_mov_1 = spec.csi;
-    timingParams.dur_mov_1 = spec.dur_ch1;
-    timingParams.start_or_1 = spec.csi;
-    timingParams.dur_or_1 = spec.dur_ch1;
+    for (const t of tasks) {
+        timingParams[`start_${t}_1`] = spec.csi;
+        timingParams[`dur_${t}_1`] = spec.dur_ch1;
+    }
 
     if (spec.task2 !== null) {
         // Channel 2 cue and go signal (absolute timing, assuming csi2 = 0)
@@ -454,10 +1539,10 @@ function buildTimingParams(spec) {
         // ch1 ends at csi + dur_ch1
         // relative offset = (csi + soa) - (csi + dur_ch1) = soa - dur_ch1
         const ch2RelativeOffset = spec.soa - spec.dur_ch1;
-        timingParams.start_mov_2 = ch2RelativeOffset;
-        timingParams.dur_mov_2 = spec.dur_ch2;
-        timingParams.start_or_2 = ch2RelativeOffset;
-        timingParams.dur_or_2 = spec.dur_ch2;
+        for (const t of tasks) {
+            timingParams[`start_${t}_2`] = ch2RelativeOffset;
+            timingParams[`dur_${t}_2`] = spec.dur_ch2;
+        }
 
     } else {
         // Single-task: channel 2 completely inactive
@@ -465,10 +1550,10 @@ function buildTimingParams(spec) {
         timingParams.dur_2 = 0;
         timingParams.start_go_2 = 0;
         timingParams.dur_go_2 = 0;
-        timingParams.start_mov_2 = 0;
-        timingParams.dur_mov_2 = 0;
-        timingParams.start_or_2 = 0;
-        timingParams.dur_or_2 = 0;
+        for (const t of tasks) {
+            timingParams[`start_${t}_2`] = 0;
+            timingParams[`dur_${t}_2`] = 0;
+        }
     }
 
     return timingParams;
@@ -490,10 +1575,15 @@ function buildTrialParams(spec) {
     // Zero out duration for pathways with coh=0.
     // The SE package renders coh=0 as visible random noise, not invisible.
     // Zeroing duration is the only way to truly silence a pathway.
-    if (params.coh_mov_1 === 0) { params.start_mov_1 = 0; params.dur_mov_1 = 0; }
-    if (params.coh_or_1 === 0) { params.start_or_1 = 0; params.dur_or_1 = 0; }
-    if (params.coh_mov_2 === 0) { params.start_mov_2 = 0; params.dur_mov_2 = 0; }
-    if (params.coh_or_2 === 0) { params.start_or_2 = 0; params.dur_or_2 = 0; }
+    const tasks = spec.tasks ?? DEFAULT_TASKS;
+    for (const t of tasks) {
+        for (const ch of [1, 2]) {
+            if (params[`coh_${t}_${ch}`] === 0) {
+                params[`start_${t}_${ch}`] = 0;
+                params[`dur_${t}_${ch}`] = 0;
+            }
+        }
+    }
 
     // Recompute ch2 relative offsets AFTER zeroing.
     //
@@ -508,15 +1598,12 @@ function buildTrialParams(spec) {
     //
     // Reference: viewer.js convertAbsoluteToSEParams lines 134-137.
     if (spec.task2 !== null) {
-        const mov1End = params.start_mov_1 + params.dur_mov_1;
-        const or1End = params.start_or_1 + params.dur_or_1;
         const desiredCh2Start = spec.csi + spec.soa;
-
-        if (params.dur_mov_2 > 0) {
-            params.start_mov_2 = desiredCh2Start - mov1End;
-        }
-        if (params.dur_or_2 > 0) {
-            params.start_or_2 = desiredCh2Start - or1End;
+        for (const t of tasks) {
+            const ch1End = params[`start_${t}_1`] + params[`dur_${t}_1`];
+            if (params[`dur_${t}_2`] > 0) {
+                params[`start_${t}_2`] = desiredCh2Start - ch1End;
+            }
         }
     }
 
@@ -527,68 +1614,278 @@ function buildTrialParams(spec) {
 // Block trial generation
 // ============================================================
 
+// Catch trial types: both tasks shown, or only one of them
+const CATCH_TYPES = ['both', 't1-only', 't2-only'];
+
+/**
+ * Hides channel 1's cue and go signal on a catch trial whose T1 is omitted.
+ * Its stimulus pathways are silenced beforehand through zero coherence, so
+ * buildTrialParams still places channel 2 correctly.
+ */
+function omitChannel1Cue(params) {
+    params.start_1 = 0;
+    params.dur_1 = 0;
+    params.start_go_1 = 0;
+    params.dur_go_1 = 0;
+    return params;
+}
+
+/**
+ * Resolves blockConfig.stopSignal, filling defaults. Fields:
+ *   proportion - share of stop trials (exact count, shuffled)
+ *   ssd        - initial stop-signal delay in ms after the go signal (250)
+ *   step       - staircase step in ms (50); 0 keeps the SSD fixed, and
+ *                ssd 0 with step 0 gives go/no-go
+ *   minSsd, maxSsd - staircase bounds (0, responseWindow)
+ *   duration   - stop signal duration in ms (100)
+ *
+ * SE scores every trial against the go signal, so its feedback would call a
+ * successful stop a miss; stop-signal blocks run without feedback.
+ *
+ * @returns {object|null} null when the block has no stop signal
+ * @throws {Error} on a non-single-task block, a proportion outside (0, 1),
+ *   or feedback turned on
+ */
+function resolveStopSignal(blockConfig) {
+    const stopSignal = blockConfig.stopSignal;
+    if (!stopSignal) return null;
+    if (blockConfig.paradigm !== 'single-task') {
+        throw new Error(
+            `Block '${blockConfig.blockId}': stop-signal trials need a single-task block, `
+            + `got paradigm '${blockConfig.paradigm}'`
+        );
+    }
+    if (!(stopSignal.proportion > 0 && stopSignal.proportion < 1)) {
+        throw new Error(`Block '${blockConfig.blockId}': stopSignal.proportion must be between 0 and 1`);
+    }
+    if (blockConfig.feedback) {
+        throw new Error(`Block '${blockConfig.blockId}': stop-signal blocks run without feedback`);
+    }
+    return {
+        proportion: stopSignal.proportion,
+        ssd: stopSignal.ssd ?? 250,
+        step: stopSignal.step ?? 50,
+        minSsd: stopSignal.minSsd ?? 0,
+        maxSsd: stopSignal.maxSsd ?? blockConfig.responseWindow,
+        duration: stopSignal.duration ?? 100,
+    };
+}
+
+/**
+ * Moves the stop signal of a stop trial to ssd ms after its go signal.
+ * The stop signal is channel 2's cue, which single-task trials leave unused.
+ */
+function setStopSignalDelay(params, ssd) {
+    params.start_2 = params.start_go_1 + ssd;
+    return params;
+}
+
+/**
+ * Resolves a coherence object to channel-indexed form. Task-indexed
+ * coherence ({ mov: 0.8, or: 0.6 }) gives each channel its task's value and
+ * no distractors; channel-indexed coherence is returned as is.
+ */
+function resolveChannelCoherence(coh, task1, task2) {
+    return coh[task1] !== undefined
+        ? { ch1_task: coh[task1], ch1_distractor: 0,
+            ch2_task: task2 ? coh[task2] : 0, ch2_distractor: 0 }
+        : coh;
+}
+
 /**
  * Generates trial objects for single-canvas blocks (single-task and dual-task PRP).
  *
- * @param {object} blockConfig - Block-level configuration
+ * Dual-task blocks with a catch config omit T2 on 't1-only' trials (channel 2
+ * inactive) and T1 on 't2-only' trials (channel 1 silenced; T2 keeps its
+ * SOA). Meta keeps both task names so responses on the absent task can be
+ * scored as false alarms; the absent task's target direction is null.
+ *
+ * Single-task blocks with a stopSignal config (see resolveStopSignal) mark
+ * that share of trials as stop trials: channel 2's cue appears meta.ssd ms
+ * after the go signal and the correct outcome is withholding the response.
+ * meta.ssd holds the initial SSD; the session's staircase overwrites it
+ * (setStopSignalDelay) before each stop trial runs.
+ *
+ * Voluntary task switching blocks are handed to generateVoluntaryTrials.
+ *
+ * @param {object} blockConfig - Block-level configuration. blockConfig.seed
+ *   makes the trial list reproducible; a random seed is drawn if absent.
  * @param {number} numTrials - Number of trials in this block
  * @returns {{ seParams: object, meta: object }[]}
  */
 function generateBlockTrials(blockConfig, numTrials) {
+    if (blockConfig.paradigm === 'voluntary') return generateVoluntaryTrials(blockConfig, numTrials);
     const isDualTask = blockConfig.paradigm === 'dual-task';
-    const vectors = generateSequenceVectors(blockConfig, numTrials);
+    const tasks = resolveTasks(blockConfig);
+    const { seed, rng } = resolveBlockRng(blockConfig);
+    const vectors = generateSequenceVectors(blockConfig, numTrials, rng);
+    const stopSignal = resolveStopSignal(blockConfig);
+    const stopLabels = stopSignal
+        ? generateCongruencySequence(numTrials, ['go', 'stop'], [1 - stopSignal.proportion, stopSignal.proportion], rng)
+        : null;
+    const targetDirs = resolveTargetDirections(
+        blockConfig, vectors.task1, i => directionPool(blockConfig.keyMaps, vectors.task1[i]), rng
+    );
     const trials = [];
+    const responses = [];
+    // Preset keys: one hand for every task with identical RSO, one per task with disjoint
+    const handOf = task => blockConfig.rso === 'disjoint' ? task : 'left';
 
     for (let i = 0; i < numTrials; i++) {
         const task1 = vectors.task1[i];
         const task2 = vectors.task2[i];
         const congruency = vectors.congruency[i];
+        const stopTrial = stopLabels ? stopLabels[i] === 'stop' : null;
         const iti = vectors.iti[i];
         // SOA is only meaningful for dual-task; force null for single-task
         const soa = isDualTask ? vectors.soa[i] : null;
+        const catchType = isDualTask ? (vectors.catchType?.[i] ?? 'both') : null;
+        const t1Absent = catchType === 't2-only';
+        const t2Absent = catchType === 't1-only';
 
         const dir = assignDirections(
-            task1, congruency, blockConfig.paradigm, blockConfig.rso, blockConfig.keyMaps
+            task1, congruency, blockConfig.paradigm, blockConfig.rso, blockConfig.keyMaps, rng,
+            targetDirs?.[i], task2, isDualTask ? vectors.compatibility?.[i] : null
         );
 
-        // Resolve coherence (task-indexed -> channel-indexed)
-        const coh = blockConfig.coherence;
-        const resolvedCoherence = coh.mov !== undefined
-            ? { ch1_task: coh[task1], ch1_distractor: 0,
-                ch2_task: task2 ? coh[task2] : 0, ch2_distractor: 0 }
-            : coh;
+        const resolvedCoherence = resolveChannelCoherence(blockConfig.coherence, task1, task2);
 
         const spec = {
+            tasks: tasks,
             task1: task1,
-            task2: task2,
-            csi: blockConfig.csi,
+            task2: t2Absent ? null : task2,
+            csi: vectors.csi[i],
             dur_ch1: blockConfig.stimulusDuration,
-            dur_ch2: isDualTask ? blockConfig.stimulusDuration : 0,
+            dur_ch2: isDualTask && !t2Absent ? blockConfig.stimulusDuration : 0,
             soa: soa ?? 0,
             responseWindow: blockConfig.responseWindow,
-            coherence: resolvedCoherence,
+            coherence: t1Absent ? { ...resolvedCoherence, ch1_task: 0, ch1_distractor: 0 } : resolvedCoherence,
             dir: dir,
         };
 
         const seParams = buildTrialParams(spec);
+        if (t1Absent) omitChannel1Cue(seParams);
+        if (stopTrial) {
+            seParams.dur_2 = stopSignal.duration;
+            setStopSignalDelay(seParams, stopSignal.ssd);
+        }
 
         const meta = {
             trialNumber: i + 1,
+            firstTrialOfBlock: i === 0,
             blockId: blockConfig.blockId,
             blockType: blockConfig.blockType,
             paradigm: blockConfig.paradigm,
+            seed: seed,
             t1_task: task1,
             t2_task: task2,
             transitionType: vectors.transition[i],
+            n2Transition: vectors.n2Transition[i],
+            runPosition: vectors.runPosition[i],
+            switchRate: blockConfig.switchRate,
+            realizedSwitchRate: vectors.realizedSwitchRate,
             iti: iti,
             soa: soa,
-            t1_target_dir: dir.ch1_task,
-            t1_distractor_dir: congruency === 'univalent' ? null : dir.ch1_distractor,
-            t2_target_dir: isDualTask ? dir.ch2_task : null,
+            csi: vectors.csi[i],
+            rci: vectors.rci[i],
+            t1_target_dir: t1Absent ? null : dir.ch1_task,
+            t1_distractor_dir: congruency === 'univalent' || t1Absent ? null : dir.ch1_distractor,
+            t2_target_dir: isDualTask && !t2Absent ? dir.ch2_task : null,
             t2_distractor_dir: null,
+            // Dual-task channels carry no distractors, so congruency is single-task only
+            t1_congruency: isDualTask ? null : congruency,
+            compatibility: t1Absent || t2Absent ? null : (vectors.compatibility?.[i] ?? null),
+            catchType: catchType,
+            stopTrial: stopTrial,
+            ssd: stopTrial ? stopSignal.ssd : null,
         };
 
         trials.push({ seParams, meta });
+        responses.push(requiredResponse(blockConfig.keyMaps, task1, meta.t1_target_dir, handOf(task1)));
+    }
+
+    return annotateResponseTransitions(trials, responses);
+}
+
+/**
+ * Generates trials for voluntary task switching blocks (paradigm
+ * 'voluntary'). Every trial shows all tasks' stimuli at once, each at its
+ * target coherence and with its own target direction (meta.voluntaryDirs),
+ * and no task cue; the participant picks the task by the key set they
+ * answer with, so the task columns, transition and target direction are
+ * filled in by the session once the response is scored.
+ *
+ * The sequence vectors only supply timing (iti, csi, rci);
+ * blockConfig.sequenceType and switchRate play no role.
+ *
+ * SE scores every trial against a single task, so its feedback would flag
+ * a correct answer to the other task as an error; voluntary blocks run
+ * without feedback.
+ *
+ * @param {object} blockConfig - rso 'disjoint', or keyMaps whose task key sets do not overlap
+ * @param {number} numTrials
+ * @returns {{ seParams: object, meta: object }[]}
+ * @throws {Error} if the tasks share response keys or feedback is turned on
+ */
+function generateVoluntaryTrials(blockConfig, numTrials) {
+    const tasks = resolveTasks(blockConfig);
+    const keySets = blockConfig.keyMaps ? tasks.map(t => Object.values(blockConfig.keyMaps[t])) : null;
+    const shared = keySets && keySets.some((keys, j) => keySets.slice(j + 1).some(other => keys.some(k => other.includes(k))));
+    if (shared || (!keySets && blockConfig.rso !== 'disjoint')) {
+        throw new Error(`Block '${blockConfig.blockId}': voluntary task switching needs a separate key set per task`);
+    }
+    if (blockConfig.feedback) {
+        throw new Error(`Block '${blockConfig.blockId}': voluntary task switching runs without feedback`);
+    }
+    const { seed, rng } = resolveBlockRng(blockConfig);
+    const vectors = generateSequenceVectors({ ...blockConfig, switchRate: blockConfig.switchRate ?? 0 }, numTrials, rng);
+    const trials = [];
+
+    for (let i = 0; i < numTrials; i++) {
+        const dirs = {};
+        for (const t of tasks) {
+            const pool = directionPool(blockConfig.keyMaps, t);
+            dirs[t] = pool[Math.floor(rng() * pool.length)];
+        }
+        const coherence = t => blockConfig.coherence[t] ?? blockConfig.coherence.ch1_task;
+        const seParams = buildTrialParams(buildSingleCanvasSpec(
+            tasks[0], vectors.csi[i], blockConfig.stimulusDuration, blockConfig.responseWindow,
+            coherence(tasks[0]), dirs[tasks[0]], coherence(tasks[0]), 0, tasks
+        ));
+        // Equal-strength bivalent stimulus, no task cue before it
+        for (const t of tasks) {
+            seParams[`coh_${t}_1`] = coherence(t);
+            seParams[`dir_${t}_1`] = dirs[t];
+        }
+        seParams.dur_1 = 0;
+
+        trials.push({
+            seParams,
+            meta: {
+                trialNumber: i + 1,
+                firstTrialOfBlock: i === 0,
+                blockId: blockConfig.blockId,
+                blockType: blockConfig.blockType,
+                paradigm: blockConfig.paradigm,
+                seed: seed,
+                t1_task: null,
+                t2_task: null,
+                transitionType: null,
+                n2Transition: null,
+                runPosition: null,
+                switchRate: null,
+                realizedSwitchRate: null,
+                iti: vectors.iti[i],
+                soa: null,
+                csi: vectors.csi[i],
+                rci: vectors.rci[i],
+                voluntaryDirs: dirs,
+                t1_target_dir: null,
+                t1_distractor_dir: null,
+                t2_target_dir: null,
+                t2_distractor_dir: null,
+            },
+        });
     }
 
     return trials;
@@ -596,8 +1893,9 @@ function generateBlockTrials(blockConfig, numTrials) {
 
 function buildSingleCanvasSpec(task, csi, stimulusDuration, responseWindow,
                                coherence, direction,
-                               distractorCoherence, distractorDirection) {
+                               distractorCoherence, distractorDirection, tasks = DEFAULT_TASKS) {
     const spec = {
+        tasks: tasks,
         task1: task,
         task2: null,
         csi: csi,
@@ -613,17 +1911,16 @@ function buildSingleCanvasSpec(task, csi, stimulusDuration, responseWindow,
 }
 
 
-function applySOAOffset(params, offset) {
+function applySOAOffset(params, offset, tasks = DEFAULT_TASKS) {
     const shifted = { ...params };
     if (offset === 0) {
         return shifted;
     }
 
-    if (params.dur_mov_1 > 0) {
-        shifted.start_mov_1 += offset;
-    }
-    if (params.dur_or_1 > 0) {
-        shifted.start_or_1 += offset;
+    for (const t of tasks) {
+        if (params[`dur_${t}_1`] > 0) {
+            shifted[`start_${t}_1`] += offset;
+        }
     }
     shifted.start_go_1 += offset;
     shifted.dur_1 += offset;
@@ -631,49 +1928,66 @@ function applySOAOffset(params, offset) {
     return shifted;
 }
 
+/**
+ * Re-times a generated trial to a new SOA, for adaptive SOA blocks
+ * (blockConfig.soa.type 'adaptive') whose SOA is only known once the
+ * previous trial has been scored. Dual-task shifts channel 2, dual-canvas
+ * shifts the T2 canvas (applySOAOffset), prp-baseline only needs meta.soa
+ * (the session waits it before showing the task). Catch trials without T2
+ * have nothing to shift.
+ *
+ * @param {object} trial - from generateBlockTrials, generateDualCanvasBlockTrials
+ *   or generateSidedTrials; modified in place
+ * @param {number} soa
+ * @param {string[]} [tasks=DEFAULT_TASKS]
+ * @returns {object} the trial
+ */
+function setTrialSoa(trial, soa, tasks = DEFAULT_TASKS) {
+    const delta = soa - trial.meta.soa;
+    const t2Present = trial.meta.catchType !== 't1-only';
+    if (delta !== 0 && t2Present) {
+        if (trial.meta.paradigm === 'dual-task') {
+            const params = trial.seParams;
+            params.start_2 += delta;
+            params.start_go_2 += delta;
+            for (const t of tasks) {
+                if (params[`dur_${t}_2`] > 0) params[`start_${t}_2`] += delta;
+            }
+        } else if (trial.meta.paradigm === 'dual-canvas') {
+            const t2Key = trial.meta.t1Side === 'left' ? 'rightSeParams' : 'leftSeParams';
+            trial[t2Key] = applySOAOffset(trial[t2Key], delta, tasks);
+        }
+    }
+    trial.meta.soa = soa;
+    return trial;
+}
+
 
-// TODO: Dual-canvas within-canvas congruency support
-//
-// Currently, dual-canvas trials are always univalent (one task per canvas, no
-// distractors). To support within-canvas congruency (e.g., movement task with
-// orientation distractor on the same canvas):
-//
-// 1. Add congruency config to blockConfig (per-canvas or shared):
-//    t1Congruency: { conditions: ['congruent','incongruent'], proportions: [0.5,0.5] }
-//
-// 2. Call generateCongruencySequence for each canvas independently.
-//
-// 3. Use the congruency label to control t1_distractor_dir / t2_distractor_dir in
-//    buildSingleCanvasSpec (similar to how assignDirections handles it for
-//    single-canvas trials).
-//
-// 4. This enables three independent congruency dimensions derivable from the CSV:
-//    - Within T1: compare t1_target_dir vs t1_distractor_dir
-//    - Within T2: compare t2_target_dir vs t2_distractor_dir
-//    - Cross task: compare t1_target_dir vs t2_target_dir
-//
-// These three dimensions allow a 2x2x2 congruency analysis and three-way
-// interactions with SOA — a novel design not possible with single-canvas PRP.
-//
-// NOTE: Future extension — dual-PRP (two-channel trials on each canvas)
-//
-// The current dual-canvas design uses one task per canvas (channel 1 only).
-// A more extreme design could run a full PRP trial on each canvas
-// simultaneously — four tasks total, two per canvas. This would require:
-//
-// - Per-canvas coherence objects instead of scalar leftCoherence/rightCoherence
-// - Per-canvas SOA (left canvas SOA vs right canvas SOA)
-// - buildSingleCanvasSpec replaced with full two-channel spec per canvas
-// - Four response keys per canvas (currently only two per hand)
-//
-// This is architecturally possible (each canvas is an independent SE instance)
-// but would require a different response mapping scheme since participants
-// only have two fingers per hand in the current setup.
+/**
+ * Distractor coherence for one canvas of a dual-canvas trial. Univalent
+ * trials get 0 (pathway silenced). Otherwise the canvas congruency config's
+ * distractorCoherence, then coherence.ch1_distractor, then the target
+ * coherence (equal-strength bivalent stimulus).
+ */
+function resolveDistractorCoherence(congruency, congruencyConfig, coherence, targetCoherence) {
+    if (congruency === 'univalent') return 0;
+    return congruencyConfig?.distractorCoherence ?? coherence.ch1_distractor ?? targetCoherence;
+}
 
 /**
  * Generates trial objects for dual-canvas PRP blocks.
  * Each trial has independent left (T1) and right (T2) canvas parameters.
  *
+ * Each canvas can carry its own within-canvas congruency (see
+ * generateSequenceVectors: t1Congruency / t2Congruency): the distractor is
+ * the other task's pathway on the same canvas. Direction pools come from
+ * blockConfig.canvasKeyMaps[side] (keyed by task), falling back to
+ * blockConfig.keyMaps. Meta records within-T1, within-T2 and cross-task
+ * (T1 target vs T2 target) congruency.
+ *
+ * With a catch config the absent task's canvas stays blank on catch trials
+ * (stimulus, cue and go signal silenced); its target direction is null.
+ *
  * @param {object} blockConfig - must include paradigm: 'dual-canvas', rso: 'disjoint'
  * @param {number} numTrials
  * @returns {{ leftSeParams: object, rightSeParams: object, meta: object }[]}
@@ -684,37 +1998,61 @@ function generateDualCanvasBlockTrials(blockConfig, numTrials) {
     }
 
     const t1Side = blockConfig.t1Side ?? 'left';
-    const vectors = generateSequenceVectors(blockConfig, numTrials);
+    const tasks = resolveTasks(blockConfig);
+    const { seed, rng } = resolveBlockRng(blockConfig);
+    const vectors = generateSequenceVectors(blockConfig, numTrials, rng);
     const trials = [];
 
+    const t2Side = t1Side === 'left' ? 'right' : 'left';
+    const t1KeyMaps = blockConfig.canvasKeyMaps?.[t1Side] ?? blockConfig.keyMaps;
+    const t2KeyMaps = blockConfig.canvasKeyMaps?.[t2Side] ?? blockConfig.keyMaps;
+    const t1CongruencyConfig = blockConfig.t1Congruency ?? blockConfig.congruency;
+    const t2CongruencyConfig = blockConfig.t2Congruency ?? t1CongruencyConfig;
+    const targetDirs = resolveTargetDirections(
+        blockConfig, vectors.task1, i => directionPool(t1KeyMaps, vectors.task1[i]), rng
+    );
+
+    const responses = [];
+
     for (let i = 0; i < numTrials; i++) {
         const t1 = vectors.task1[i];
         const t2 = vectors.task2[i];
-        const congruency = vectors.congruency[i];
-
-        // Each canvas is a single-task display; use assignDirections per canvas.
-        // Note: keyMaps here are block-level, not canvas-aware. Correct for
-        // univalent trials but would need per-canvas keyMaps if within-canvas
-        // congruency is added later (see TODO above).
-        const dir1 = assignDirections(t1, congruency, 'single-task', blockConfig.rso, blockConfig.keyMaps);
-        const dir2 = assignDirections(t2, congruency, 'single-task', blockConfig.rso, blockConfig.keyMaps);
-
-        const t1Coh = blockConfig.coherence[t1] ?? blockConfig.coherence.ch1_task;
-        const t2Coh = blockConfig.coherence[t2] ?? blockConfig.coherence.ch1_task;
-        const distractorCoh = blockConfig.coherence.ch1_distractor ?? 0;
+        const t1Congruency = vectors.congruency[i];
+        const t2Congruency = vectors.t2Congruency[i];
+        const catchType = vectors.catchType?.[i] ?? 'both';
+        const t1Absent = catchType === 't2-only';
+        const t2Absent = catchType === 't1-only';
+
+        // Each canvas is a single-task display; use assignDirections per canvas
+        const dir1 = assignDirections(t1, t1Congruency, 'single-task', blockConfig.rso, t1KeyMaps, rng,
+            targetDirs?.[i]);
+        const compatibility = t1Absent || t2Absent ? null : (vectors.compatibility?.[i] ?? null);
+        const t2TargetDir = compatibility
+            ? compatibleDirection(dir1.ch1_task, compatibility, t1KeyMaps?.[t1], t2KeyMaps?.[t2], rng)
+            : null;
+        const dir2 = assignDirections(t2, t2Congruency, 'single-task', blockConfig.rso, t2KeyMaps, rng, t2TargetDir);
+
+        const t1Coh = t1Absent ? 0 : (blockConfig.coherence[t1] ?? blockConfig.coherence.ch1_task);
+        const t2Coh = t2Absent ? 0 : (blockConfig.coherence[t2] ?? blockConfig.coherence.ch1_task);
+        const t1DistractorCoh = t1Absent ? 0
+            : resolveDistractorCoherence(t1Congruency, t1CongruencyConfig, blockConfig.coherence, t1Coh);
+        const t2DistractorCoh = t2Absent ? 0
+            : resolveDistractorCoherence(t2Congruency, t2CongruencyConfig, blockConfig.coherence, t2Coh);
 
         const t1Spec = buildSingleCanvasSpec(
-            t1, blockConfig.csi, blockConfig.stimulusDuration, blockConfig.responseWindow,
-            t1Coh, dir1.ch1_task, distractorCoh, dir1.ch1_distractor
+            t1, vectors.csi[i], blockConfig.stimulusDuration, blockConfig.responseWindow,
+            t1Coh, dir1.ch1_task, t1DistractorCoh, dir1.ch1_distractor, tasks
         );
         const t2Spec = buildSingleCanvasSpec(
-            t2, blockConfig.csi, blockConfig.stimulusDuration, blockConfig.responseWindow,
-            t2Coh, dir2.ch1_task, distractorCoh, dir2.ch1_distractor
+            t2, vectors.csi[i], blockConfig.stimulusDuration, blockConfig.responseWindow,
+            t2Coh, dir2.ch1_task, t2DistractorCoh, dir2.ch1_distractor, tasks
         );
 
         const t1Params = buildTrialParams(t1Spec);
         const t2Params = buildTrialParams(t2Spec);
-        const shiftedT2Params = applySOAOffset(t2Params, vectors.soa[i]);
+        const shiftedT2Params = applySOAOffset(t2Params, vectors.soa[i], tasks);
+        if (t1Absent) omitChannel1Cue(t1Params);
+        if (t2Absent) omitChannel1Cue(shiftedT2Params);
 
         // Route temporal roles (T1/T2) to physical canvases based on t1Side
         const leftSeParams = t1Side === 'left' ? t1Params : shiftedT2Params;
@@ -722,85 +2060,259 @@ function generateDualCanvasBlockTrials(blockConfig, numTrials) {
 
         const meta = {
             trialNumber: i + 1,
+            firstTrialOfBlock: i === 0,
             blockId: blockConfig.blockId,
             blockType: blockConfig.blockType,
             paradigm: blockConfig.paradigm,
+            seed: seed,
             t1Side: t1Side,
             earlyResolve: blockConfig.earlyResolve ?? false,
             t1_task: t1,
             t2_task: t2,
             transitionType: vectors.transition[i],
+            n2Transition: vectors.n2Transition[i],
+            runPosition: vectors.runPosition[i],
+            switchRate: blockConfig.switchRate,
+            realizedSwitchRate: vectors.realizedSwitchRate,
             iti: vectors.iti[i],
             soa: vectors.soa[i],
-            t1_target_dir: dir1.ch1_task,
-            t1_distractor_dir: congruency === 'univalent' ? null : dir1.ch1_distractor,
-            t2_target_dir: dir2.ch1_task,
-            t2_distractor_dir: congruency === 'univalent' ? null : dir2.ch1_distractor,
+            csi: vectors.csi[i],
+            rci: vectors.rci[i],
+            t1_target_dir: t1Absent ? null : dir1.ch1_task,
+            t1_distractor_dir: t1Congruency === 'univalent' || t1Absent ? null : dir1.ch1_distractor,
+            t2_target_dir: t2Absent ? null : dir2.ch1_task,
+            t2_distractor_dir: t2Congruency === 'univalent' || t2Absent ? null : dir2.ch1_distractor,
+            t1_congruency: t1Absent ? null : t1Congruency,
+            t2_congruency: t2Absent ? null : t2Congruency,
+            cross_congruency: t1Absent || t2Absent ? null : classifyDirectionCongruency(dir1.ch1_task, dir2.ch1_task),
+            compatibility: compatibility,
+            catchType: catchType,
         };
 
         trials.push({ leftSeParams, rightSeParams, meta });
+        responses.push(requiredResponse(t1KeyMaps, t1, meta.t1_target_dir, t1Side));
+    }
+
+    return annotateResponseTransitions(trials, responses);
+}
+
+/**
+ * Generates trial objects for dual-PRP blocks: a full two-channel PRP trial
+ * (as in single-canvas dual-task) on each canvas at once, four tasks per trial.
+ *
+ * Each canvas draws its own task sequence from the block's sequence settings
+ * (sequenceType, switchRate, task1/startTask, t2Rule) and has its own
+ * settings, falling back to the block-level ones:
+ *   canvasCoherence: { left, right }  - coherence objects (task- or channel-indexed)
+ *   canvasSoa:       { left, right }  - channel 1 -> channel 2 SOA distributions
+ *   canvasKeyMaps:   { left, right }  - key maps keyed by task; direction pools
+ *                                       come from these
+ * Both canvases start together; SOA and crossTaskCompatibility apply within
+ * each canvas.
+ *
+ * Meta fields are prefixed by canvas (left_t1_task, right_soa, ...);
+ * t1_task / t2_task are null because no single canvas is T1.
+ *
+ * @param {object} blockConfig - paradigm: 'dual-prp'
+ * @param {number} numTrials
+ * @returns {{ leftSeParams: object, rightSeParams: object, meta: object }[]}
+ */
+function generateDualPRPBlockTrials(blockConfig, numTrials) {
+    if (blockConfig.catch) {
+        throw new Error(`Block '${blockConfig.blockId}': catch trials are not supported in dual-prp blocks`);
+    }
+    if (blockConfig.rci) {
+        throw new Error(`Block '${blockConfig.blockId}': rci is not supported in dual-prp blocks`);
+    }
+    // Each canvas is generated as a dual-task block, which would let an
+    // adaptive SOA through that setTrialSoa cannot apply to dual-prp trials
+    const soas = [blockConfig.soa, blockConfig.canvasSoa?.left, blockConfig.canvasSoa?.right];
+    if (soas.some(soa => soa?.type === 'adaptive')) {
+        throw new Error(`Block '${blockConfig.blockId}': adaptive SOA is not supported in dual-prp blocks`);
+    }
+    const tasks = resolveTasks(blockConfig);
+    const { seed, rng } = resolveBlockRng(blockConfig);
+
+    const canvases = {};
+    for (const side of ['left', 'right']) {
+        const soa = blockConfig.canvasSoa?.[side] ?? blockConfig.soa;
+        if (!soa) {
+            throw new Error(`Block '${blockConfig.blockId}': dual-prp needs an soa for the ${side} canvas`);
+        }
+        const vectors = generateSequenceVectors({ ...blockConfig, paradigm: 'dual-task', soa }, numTrials, rng);
+        const keyMaps = blockConfig.canvasKeyMaps?.[side] ?? blockConfig.keyMaps;
+        canvases[side] = {
+            vectors,
+            coherence: blockConfig.canvasCoherence?.[side] ?? blockConfig.coherence,
+            keyMaps,
+            targetDirs: resolveTargetDirections(
+                blockConfig, vectors.task1, i => directionPool(keyMaps, vectors.task1[i]), rng
+            ),
+        };
+    }
+
+    const trials = [];
+    for (let i = 0; i < numTrials; i++) {
+        const meta = {
+            trialNumber: i + 1,
+            firstTrialOfBlock: i === 0,
+            blockId: blockConfig.blockId,
+            blockType: blockConfig.blockType,
+            paradigm: blockConfig.paradigm,
+            seed: seed,
+            earlyResolve: blockConfig.earlyResolve ?? false,
+            t1_task: null,
+            t2_task: null,
+            switchRate: blockConfig.switchRate,
+            iti: canvases.left.vectors.iti[i],
+        };
+        const seParams = {};
+
+        for (const side of ['left', 'right']) {
+            const { vectors, coherence, keyMaps, targetDirs } = canvases[side];
+            const task1 = vectors.task1[i];
+            const task2 = vectors.task2[i];
+            const soa = vectors.soa[i];
+            const dir = assignDirections(
+                task1, 'univalent', 'dual-task', blockConfig.rso, keyMaps, rng, targetDirs?.[i], task2,
+                vectors.compatibility?.[i] ?? null
+            );
+            seParams[side] = buildTrialParams({
+                tasks: tasks,
+                task1: task1,
+                task2: task2,
+                csi: vectors.csi[i],
+                dur_ch1: blockConfig.stimulusDuration,
+                dur_ch2: blockConfig.stimulusDuration,
+                soa: soa,
+                responseWindow: blockConfig.responseWindow,
+                coherence: resolveChannelCoherence(coherence, task1, task2),
+                dir: dir,
+            });
+
+            meta[`${side}_t1_task`] = task1;
+            meta[`${side}_t2_task`] = task2;
+            meta[`${side}_transitionType`] = vectors.transition[i];
+            meta[`${side}_runPosition`] = vectors.runPosition[i];
+            meta[`${side}_soa`] = soa;
+            meta[`${side}_csi`] = vectors.csi[i];
+            meta[`${side}_t1_target_dir`] = dir.ch1_task;
+            meta[`${side}_t2_target_dir`] = dir.ch2_task;
+            meta[`${side}_compatibility`] = vectors.compatibility?.[i] ?? null;
+        }
+
+        trials.push({ leftSeParams: seParams.left, rightSeParams: seParams.right, meta });
     }
 
     return trials;
 }
 
 /**
- * Generates trials for sided paradigms (alternating task-switching, PRP baseline).
+ * Key maps (keyed by task) that a sided trial on `side` responds with:
+ * blockConfig.canvasKeyMaps[side], then blockConfig.keyMaps, else null
+ * (each hand's default 0/180 keys).
+ */
+function sidedKeyMaps(blockConfig, side) {
+    return blockConfig.canvasKeyMaps?.[side] ?? blockConfig.keyMaps ?? null;
+}
+
+/**
+ * Generates trials for sided paradigms (alternating task-switching,
+ * overlapping alternating, PRP baseline).
  * Each trial is assigned to a side of a dual-canvas display.
  *
- * For alternating: side alternates left/right across trials.
+ * For alternating and alternating-prp: side alternates left/right across trials.
  * For prp-baseline: side is always 'right' (left shows a placeholder asterisk).
  *
- * SOA is only sampled for prp-baseline (blockConfig.soa must exist).
+ * SOA is sampled for prp-baseline and alternating-prp (blockConfig.soa must
+ * exist). In alternating-prp, meta.soa is the interval from the previous
+ * trial's stimulus onset to this one's, so the next stimulus can appear
+ * before the current response (overlapping task switching). The first trial
+ * has no predecessor: its soa is null and it waits its ITI instead.
+ *
+ * Directions and distractors go through assignDirections as on a
+ * single-task canvas. Each side's pool comes from
+ * blockConfig.canvasKeyMaps[side] (keyed by task), falling back to
+ * blockConfig.keyMaps, then to 0/180 (see sidedKeyMaps); blockConfig.congruency
+ * sets the within-canvas distractor of the displayed task.
  *
- * @param {object} blockConfig - must include paradigm ('alternating' or 'prp-baseline')
+ * @param {object} blockConfig - must include paradigm ('alternating',
+ *   'alternating-prp' or 'prp-baseline')
  * @param {number} numTrials
  * @returns {{ seParams: object, meta: object }[]}
  */
 function generateSidedTrials(blockConfig, numTrials) {
     const isBaseline = blockConfig.paradigm === 'prp-baseline';
+    const isOverlapping = blockConfig.paradigm === 'alternating-prp';
+    if (isOverlapping && !blockConfig.soa) {
+        throw new Error(`Block '${blockConfig.blockId}': alternating-prp requires an soa distribution`);
+    }
     const t1Side = blockConfig.t1Side ?? 'left';
     const oppositeSide = t1Side === 'left' ? 'right' : 'left';
-    const vectors = generateSequenceVectors(blockConfig, numTrials);
+    const tasks = resolveTasks(blockConfig);
+    const { seed, rng } = resolveBlockRng(blockConfig);
+    const vectors = generateSequenceVectors(blockConfig, numTrials, rng);
+    // For alternating(-prp): task is in task1, task2 is null
+    // For prp-baseline: task1 is null (asterisk), actual task is in task2
+    const displayTasks = isBaseline ? vectors.task2 : vectors.task1;
+    // Baseline: task on opposite side of asterisk (asterisk = T1 side)
+    // Alternating: starting side = t1Side, then alternates
+    const sideOf = i => isBaseline ? oppositeSide : ((i % 2 === 0) ? t1Side : oppositeSide);
+    const targetDirs = resolveTargetDirections(
+        blockConfig, displayTasks, i => directionPool(sidedKeyMaps(blockConfig, sideOf(i)), displayTasks[i]), rng
+    );
     const trials = [];
+    const responses = [];
 
     for (let i = 0; i < numTrials; i++) {
-        // For alternating: task is in task1, task2 is null
-        // For prp-baseline: task1 is null (asterisk), actual task is in task2
-        const displayTask = isBaseline ? vectors.task2[i] : vectors.task1[i];
-        // SOA only meaningful for prp-baseline; force null for alternating
-        const soa = isBaseline ? vectors.soa[i] : null;
+        const displayTask = displayTasks[i];
+        const side = sideOf(i);
+        // SOA meaningless for plain alternating, and for the first overlapping trial
+        const soa = isBaseline || (isOverlapping && i > 0) ? vectors.soa[i] : null;
         const iti = vectors.iti[i];
+        const congruency = vectors.congruency[i];
 
+        const dir = assignDirections(displayTask, congruency, 'single-task', blockConfig.rso,
+            sidedKeyMaps(blockConfig, side), rng, targetDirs?.[i]);
         const coherence = blockConfig.coherence[displayTask] ?? blockConfig.coherence.ch1_task;
-        const direction = Math.random() < 0.5 ? 0 : 180;
+        const distractorCoherence = resolveDistractorCoherence(congruency, blockConfig.congruency, blockConfig.coherence, coherence);
         const spec = buildSingleCanvasSpec(
-            displayTask, blockConfig.csi, blockConfig.stimulusDuration,
-            blockConfig.responseWindow, coherence, direction
+            displayTask, vectors.csi[i], blockConfig.stimulusDuration,
+            blockConfig.responseWindow, coherence, dir.ch1_task, distractorCoherence, dir.ch1_distractor, tasks
         );
         const canvasTrialParams = buildTrialParams(spec);
+        const distractorDir = congruency === 'univalent' ? null : dir.ch1_distractor;
 
         const meta = {
             trialNumber: i + 1,
-            // Baseline: task on opposite side of asterisk (asterisk = T1 side)
-            // Alternating: starting side = t1Side, then alternates
-            side: isBaseline ? oppositeSide : ((i % 2 === 0) ? t1Side : oppositeSide),
+            firstTrialOfBlock: i === 0,
+            side: side,
             t1Side: t1Side,
             blockId: blockConfig.blockId,
             blockType: blockConfig.blockType,
             paradigm: blockConfig.paradigm,
+            seed: seed,
             earlyResolve: blockConfig.earlyResolve ?? false,
             t1_task: vectors.task1[i],
             t2_task: vectors.task2[i],
             transitionType: vectors.transition[i],
+            n2Transition: vectors.n2Transition[i],
+            runPosition: vectors.runPosition[i],
+            switchRate: blockConfig.switchRate,
+            realizedSwitchRate: vectors.realizedSwitchRate,
             iti: iti,
             soa: soa,
-            t1_target_dir: isBaseline ? null : direction,
-            t1_distractor_dir: null,
-            t2_target_dir: isBaseline ? direction : null,
-            t2_distractor_dir: null,
+            csi: vectors.csi[i],
+            rci: vectors.rci[i],
+            t1_target_dir: isBaseline ? null : dir.ch1_task,
+            t1_distractor_dir: isBaseline ? null : distractorDir,
+            t2_target_dir: isBaseline ? dir.ch1_task : null,
+            t2_distractor_dir: isBaseline ? distractorDir : null,
+            t1_congruency: isBaseline ? null : congruency,
+            t2_congruency: isBaseline ? congruency : null,
         };
         trials.push({ seParams: canvasTrialParams, meta });
+        responses.push(requiredResponse(sidedKeyMaps(blockConfig, side), displayTask, dir.ch1_task, side));
     }
-    return trials;
+    return annotateResponseTransitions(trials, responses);
 }
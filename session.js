@@ -5,6 +5,7 @@ const Session = (() => {
     // State
     let allTrialData = [];
     let currentSessionDef = null;
+    let currentSessionSeed = null;
     let isRunning = false;
     let canvasContainer = null;
 
@@ -75,15 +76,52 @@ const Session = (() => {
     }
 
     /**
-     * Run a single trial: wait ITI, call block(), extract results.
+     * Show a fixation cross over the canvas area; remove() the returned
+     * element to clear it.
+     */
+    function showFixation() {
+	const cross = document.createElement('div');
+	cross.className = 'instructions-overlay';
+	cross.innerHTML = '<div class="instructions-content" style="font-size: 4em">+</div>';
+	canvasContainer.appendChild(cross);
+	return cross;
+    }
+
+    /**
+     * Wait out the interval before a trial's cue. Trials with meta.rci wait
+     * until rci ms after timing.anchor (the previous response, see
+     * rciAnchor): a blank screen, then timing.fixationDuration ms of fixation
+     * cross. Other trials wait their ITI. Records the cue onset in
+     * timing.launch and the achieved RCI in timing.achievedRci (null on the
+     * block's first trial).
+     */
+    async function waitForCue(trial, timing) {
+	if (trial.meta.rci === null || trial.meta.rci === undefined) {
+	    await sleep(trial.meta.iti);
+	} else {
+	    const elapsed = timing.anchor === null ? 0 : performance.now() - timing.anchor;
+	    const { blank, fixation } = rciWaits(trial.meta.rci, timing.fixationDuration, elapsed);
+	    await sleep(blank);
+	    if (fixation > 0) {
+		const cross = showFixation();
+		await sleep(fixation);
+		cross.remove();
+	    }
+	}
+	timing.launch = performance.now();
+	timing.achievedRci = timing.anchor === null ? null : timing.launch - timing.anchor;
+    }
+
+    /**
+     * Run a single trial: wait for the cue, call block(), extract results.
      * @param {object} trial - { seParams, meta } from generateBlockTrials
      * @param {object} seConfig - SE config with key mappings
-     * @param {number|null} prevResponseTime - timestamp of previous response
+     * @param {object} timing - per-block cue timing state (see waitForCue)
      * @returns {object} Trial data with meta + rt + accuracy
      */
-    async function runTrial(trial, seConfig, prevResponseTime) {
-        // --- ITI ---
-        await sleep(trial.meta.iti);
+    async function runTrial(trial, seConfig, timing) {
+        // --- ITI / RCI ---
+        await waitForCue(trial, timing);
 
         // --- Run SE block (single trial) ---
         const data = await seBlock(
@@ -107,8 +145,22 @@ const Session = (() => {
         };
     }
 
-    async function runAlternatingTrial(trial, config, leftParent, rightParent) {
-	await sleep(trial.meta.iti);
+    /**
+     * Run a voluntary task switching trial: like runTrial, but the task is
+     * read off the response (extractVoluntaryResponse).
+     */
+    async function runVoluntaryTrial(trial, seConfig, timing) {
+	await waitForCue(trial, timing);
+	const data = await seBlock([trial.seParams], 0, seConfig, false, seConfig.feedback, null, canvasContainer);
+	await seEndBlock();
+	return {
+	    ...trial.meta,
+	    ...extractVoluntaryResponse(data, trial, seConfig),
+	};
+    }
+
+    async function runAlternatingTrial(trial, config, leftParent, rightParent, timing) {
+	await waitForCue(trial, timing);
 	const side = trial.meta.side;
 	let data;
 	if (side === 'left') {
@@ -125,8 +177,8 @@ const Session = (() => {
 	};
     }
 
-    async function runBaselinePRPTrial(trial, taskConfig, leftParent, rightParent) {
-	await sleep(trial.meta.iti);
+    async function runBaselinePRPTrial(trial, taskConfig, leftParent, rightParent, timing) {
+	await waitForCue(trial, timing);
 	const taskSide = trial.meta.side;
 	const asteriskParent = taskSide === 'right' ? leftParent : rightParent;
 	const taskParent = taskSide === 'right' ? rightParent : leftParent;
@@ -137,6 +189,8 @@ const Session = (() => {
 	placeholder.textContent = '*';
 	asteriskParent.appendChild(placeholder);
 	await sleep(trial.meta.soa);
+	// Responses are timed from the task's own SE block
+	timing.launch = performance.now();
 
 	const data = await seBlock([trial.seParams], 0, taskConfig, false, taskConfig.feedback, canvasId, taskParent);
 	await seEndBlock(canvasId);
@@ -152,8 +206,70 @@ const Session = (() => {
 	};
     }
 
-    async function runDualCanvasTrial(trial, leftConfig, rightConfig, prevResponseTime) {
-        await sleep(trial.meta.iti);
+    /**
+     * Start one overlapping alternating trial on its side's canvas without
+     * waiting for it to end. state.running[j] resolves with its SE data.
+     */
+    function launchOverlappingTrial(trials, j, configFor, leftParent, rightParent, state) {
+	const trial = trials[j];
+	const config = configFor(j);
+	const canvasId = trial.meta.side === 'left' ? 'canvasLeft' : 'canvasRight';
+	const parent = trial.meta.side === 'left' ? leftParent : rightParent;
+	state.launches[j] = performance.now();
+	state.running[j] = seBlock([trial.seParams], 0, config, false, config.feedback, canvasId, parent)
+	    .then(async data => {
+		await seEndBlock(canvasId);
+		return { data, config };
+	    });
+    }
+
+    /**
+     * Finish trial i of an alternating-prp block. Trial i + 1 starts on the
+     * other canvas meta.soa ms after trial i started, whether or not trial i
+     * has been answered, so it may already be running when this returns.
+     * A canvas is reused only once its previous trial has ended, which can
+     * push an onset past its schedule; achievedSoa records the actual gap.
+     *
+     * @param {object[]} trials - the whole block, from generateSidedTrials
+     * @param {number} i - trial to finish; called for i = 0, 1, 2, ... in order
+     * @param {function(number): object} configFor - SE config for trial j
+     * @param {{ running: Promise[], launches: number[], rtRaw: (number|null)[] }} state
+     *   - per-block scheduling state, starting with empty arrays
+     */
+    async function runOverlappingAlternatingTrial(trials, i, configFor, leftParent, rightParent, state) {
+	if (!state.running[i]) {
+	    // First trial waits its ITI; later ones wait out their SOA
+	    const wait = i === 0
+		? trials[i].meta.iti
+		: state.launches[i - 1] + trials[i].meta.soa - performance.now();
+	    await sleep(Math.max(0, wait));
+	    launchOverlappingTrial(trials, i, configFor, leftParent, rightParent, state);
+	}
+
+	const next = i + 1;
+	if (next < trials.length) {
+	    const nextOnset = state.launches[i] + trials[next].meta.soa;
+	    const timer = sleep(Math.max(0, nextOnset - performance.now())).then(() => 'next');
+	    if (await Promise.race([state.running[i], timer]) === 'next') {
+		launchOverlappingTrial(trials, next, configFor, leftParent, rightParent, state);
+	    }
+	}
+
+	const { data, config } = await state.running[i];
+	const result = extractAlternatingResponse(data, trials[i], config);
+	state.rtRaw[i] = result.rt1_raw;
+	return {
+	    ...trials[i].meta,
+	    ...result,
+	    achievedSoa: i > 0 ? state.launches[i] - state.launches[i - 1] : null,
+	    rsi: i > 0
+		? computeRSI(state.launches[i - 1], state.rtRaw[i - 1], state.launches[i], trials[i].seParams.start_go_1)
+		: null,
+	};
+    }
+
+    async function runDualCanvasTrial(trial, leftConfig, rightConfig, timing) {
+	await waitForCue(trial, timing);
 	const t1Side = trial.meta.t1Side ?? 'left';
 	const leftLabel = t1Side === 'left' ? 'T1 (respond with left hand)' : 'T2 (respond with left hand)';
 	const rightLabel = t1Side === 'left' ? 'T2 (respond with right hand)' : 'T1 (respond with right hand)';
@@ -174,41 +290,92 @@ const Session = (() => {
 	const t1GoOnset = trial[t1Side === 'left' ? 'leftSeParams' : 'rightSeParams'].start_go_1;
 	const t2GoOnset = trial[t1Side === 'left' ? 'rightSeParams' : 'leftSeParams'].start_go_1;
 
-	const result = extractDualCanvasResponse(t1Data, t2Data, t1GoOnset, t2GoOnset, t1Config, t2Config);
+	const result = extractDualCanvasResponse(t1Data, t2Data, t1GoOnset, t2GoOnset, t1Config, t2Config,
+	    trial.meta.catchType ?? 'both');
+	return {
+	    ...trial.meta,
+	    ...result,
+	};
+    }
+
+    async function runDualPRPTrial(trial, leftConfig, rightConfig) {
+	await sleep(trial.meta.iti);
+	const { leftParent, rightParent } = setupDualCanvasDOM('Left canvas (respond with left hand)', 'Right canvas (respond with right hand)');
+
+	const leftPromise = seBlock([trial.leftSeParams], 0, leftConfig, false, leftConfig.feedback, 'canvasLeft', leftParent);
+	const rightPromise = seBlock([trial.rightSeParams], 0, rightConfig, false, rightConfig.feedback, 'canvasRight', rightParent);
+	const [leftData, rightData] = await Promise.all([leftPromise, rightPromise]);
+
+	await seEndBlock('canvasLeft');
+	await seEndBlock('canvasRight');
+
+	const coherences = {};
+	for (const side of ['left', 'right']) {
+	    const params = trial[`${side}SeParams`];
+	    coherences[`${side}_t1_target_coherence`] = params['coh_' + trial.meta[`${side}_t1_task`] + '_1'];
+	    coherences[`${side}_t2_target_coherence`] = params['coh_' + trial.meta[`${side}_t2_task`] + '_2'];
+	}
+
+	const result = extractDualPRPResponse(leftData, rightData, trial, leftConfig, rightConfig);
 	return {
 	    ...trial.meta,
+	    ...coherences,
 	    ...result,
 	};
     }
 
     /**
      * Run a complete block of trials.
+     *
+     * The block seed comes from blockDef.seed, then blockConfig.seed, then is
+     * derived from the session seed and blockOrder. It is written into every
+     * trial's meta, so the trial list can be rebuilt with generate*Trials.
      */
     async function runBlock(blockDef, blockOrder) {
-        const { blockConfig, numTrials, instructions } = blockDef;
+        const { numTrials, instructions } = blockDef;
+	const blockConfig = applyResponseMapping({
+	    ...blockDef.blockConfig,
+	    seed: blockDef.seed ?? blockDef.blockConfig.seed ?? deriveSeed(currentSessionSeed, blockOrder),
+	});
 	let trials;
 	let seConfig;
-	const feedback = blockConfig.feedback ?? true;
+	// Voluntary blocks have no single correct task to give feedback on, and
+	// SE would score a successful stop as a miss
+	const feedback = blockConfig.feedback ?? (blockConfig.paradigm !== 'voluntary' && !blockConfig.stopSignal);
 	const acceptFirstResponse = blockConfig.acceptFirstResponse ?? false;
 	const canvasType = blockConfig.paradigm ?? 'single-canvas';
 	const t1Side = blockConfig.t1Side ?? 'left';
+	const tasks = resolveTasks(blockConfig);
+	const handKeys = side => describeTaskKeys(canvasTaskKeyMaps(blockConfig, side, tasks));
 	let leftParent, rightParent;
 	if (canvasType === 'dual-canvas') {
 	    trials = generateDualCanvasBlockTrials(blockConfig, numTrials);
 	    canvasContainer.classList.toggle('dual-canvas-mode', true);
-	} else if (canvasType === 'alternating') {
+	} else if (canvasType === 'dual-prp') {
+	    if (blockDef.runQuest) {
+		throw new Error(`Block '${blockConfig.blockId}': runQuest is not supported for dual-prp blocks`);
+	    }
+	    trials = generateDualPRPBlockTrials(blockConfig, numTrials);
+	    canvasContainer.classList.toggle('dual-canvas-mode', true);
+	} else if (canvasType === 'alternating' || canvasType === 'alternating-prp') {
+	    if (canvasType === 'alternating-prp' && blockDef.runQuest) {
+		throw new Error(`Block '${blockConfig.blockId}': runQuest is not supported for overlapping alternating-prp trials`);
+	    }
 	    trials = generateSidedTrials(blockConfig, numTrials);
 	    canvasContainer.classList.toggle('dual-canvas-mode', true);
-	    ({ leftParent, rightParent } = setupDualCanvasDOM('Respond with left hand', 'Respond with right hand'));
+	    ({ leftParent, rightParent } = setupDualCanvasDOM(`Respond with left hand: ${handKeys('left')}`, `Respond with right hand: ${handKeys('right')}`));
 	} else if (canvasType === 'prp-baseline') {
 	    trials = generateSidedTrials(blockConfig, numTrials);
 	    canvasContainer.classList.toggle('dual-canvas-mode', true);
 	    if (t1Side === 'left') {
-		({ leftParent, rightParent } = setupDualCanvasDOM('S1 (no response needed)', 'Respond with right hand: J/L'));
+		({ leftParent, rightParent } = setupDualCanvasDOM('S1 (no response needed)', `Respond with right hand: ${handKeys('right')}`));
 	    } else {
-		({ leftParent, rightParent } = setupDualCanvasDOM('Respond with left hand: A/D', 'S1 (no response needed)'));
+		({ leftParent, rightParent } = setupDualCanvasDOM(`Respond with left hand: ${handKeys('left')}`, 'S1 (no response needed)'));
 	    }
 	} else {
+	    if (canvasType === 'voluntary' && blockDef.runQuest) {
+		throw new Error(`Block '${blockConfig.blockId}': runQuest is not supported for voluntary task switching`);
+	    }
 	    trials = generateBlockTrials(blockConfig, numTrials);
 	    seConfig = buildSEConfig(blockConfig.rso, blockConfig.earlyResolve, feedback, acceptFirstResponse, blockConfig.keyMaps);
 	    canvasContainer.classList.toggle('dual-canvas-mode', false);
@@ -221,23 +388,40 @@ const Session = (() => {
 
 	let quest;
 	let newCoherence;
-	if (blockDef.runQuest) {
-	    let priorMean = 0.5;
-	    let priorSD = 0.2;
-	    if (typeof(blockDef.runQuest) === 'object') {
-		priorMean = blockDef.runQuest.priorMean ?? priorMean;
-		priorSD = blockDef.runQuest.priorSD ?? priorSD;
-	    }
-	    quest = createQuest(priorMean, priorSD);
-	}
-        let prevResponseTime = null;
+	// runQuest: true, or { method, priorMean, priorSD, maxIntensity, interleave,
+	// staircases, ...options } (see createAdaptiveStaircase). With interleave
+	// ('task' or 'task-side', see staircaseKey) each key gets its own
+	// staircase, created on its first trial with runQuest merged with
+	// staircases[key] (e.g. { mov: { priorMean: 0.4 } }).
+	const questConfig = typeof(blockDef.runQuest) === 'object' ? blockDef.runQuest : {};
+	const maxIntensity = questConfig.maxIntensity ?? 0.9;
+	const staircases = new Map();
+	// Task slot the staircases adapt (runQuest.slot, see resolveQuestSlot)
+	const questTarget = blockDef.runQuest ? resolveQuestSlot(blockConfig, questConfig.slot) : null;
+	const stopSignal = resolveStopSignal(blockConfig);
+	const ssdStaircase = stopSignal ? createSsdStaircase(stopSignal) : null;
+	const soaStaircase = blockConfig.soa?.type === 'adaptive' ? createSoaStaircase(blockConfig.soa) : null;
+	const blockStart = allTrialData.length;
+	const cueTiming = { anchor: null, launch: null, achievedRci: null, fixationDuration: blockConfig.fixationDuration ?? 0 };
 	let trialData;
+	const overlapState = { running: [], launches: [], rtRaw: [] };
         for (let i = 0; i < trials.length; i++) {
             if (!isRunning) break;
             // Update status display
             updateStatus(blockConfig.blockId, i + 1, trials.length, blockOrder);
 	    const task_1 = trials[i].meta.t1_task;
 	    const task_2 = trials[i].meta.t2_task;
+	    const stopTrial = ssdStaircase !== null && trials[i].meta.stopTrial;
+	    // Catch trials without the adapted task and stop trials give QUEST nothing to score
+	    const absentCatch = questTarget?.slot === 't2' ? 't1-only' : 't2-only';
+	    const questTrial = blockDef.runQuest && trials[i].meta.catchType !== absentCatch && !stopTrial;
+	    if (stopTrial) {
+		trials[i].meta.ssd = ssdStaircase.getSsd();
+		setStopSignalDelay(trials[i].seParams, trials[i].meta.ssd);
+	    }
+	    if (soaStaircase) {
+		setTrialSoa(trials[i], soaStaircase.getSoa(), tasks);
+	    }
 
 	    // Resolve SE param objects: dual-canvas has leftSeParams/rightSeParams,
 	    // all other paradigms have a single seParams.
@@ -252,47 +436,134 @@ const Session = (() => {
 	    }
 
 	    // override coherence if we're running Quest
-	    if (blockDef.runQuest) {
-		newCoherence = Math.min(quest.getNextIntensity(), 0.9);
-		t1Params["coh_" + task_1 + "_1"] = newCoherence;
+	    let questKey = null;
+	    if (questTrial) {
+		questKey = staircaseKey(trials[i].meta, questConfig.interleave, questTarget.slot);
+		if (!staircases.has(questKey)) {
+		    staircases.set(questKey, createAdaptiveStaircase({ ...questConfig, ...questConfig.staircases?.[questKey], maxIntensity }));
+		}
+		quest = staircases.get(questKey);
+		newCoherence = Math.min(quest.getNextIntensity(), maxIntensity);
+		if (questTarget.slot === 't1') {
+		    t1Params["coh_" + task_1 + questTarget.channel] = newCoherence;
+		} else {
+		    t2Params["coh_" + task_2 + questTarget.channel] = newCoherence;
+		}
 	    }
-	    if (canvasType === 'dual-canvas') {
+	    if (canvasType === 'dual-prp') {
+		const { leftConfig, rightConfig } = buildDualPRPSEConfigs(blockConfig.canvasKeyMaps, trials[i].meta.earlyResolve, feedback, acceptFirstResponse, computeDualCanvasSize());
+		trialData = await runDualPRPTrial(trials[i], leftConfig, rightConfig);
+	    } else if (canvasType === 'dual-canvas') {
 		const trialT1Side = trials[i].meta.t1Side ?? 'left';
 		const leftTask = trialT1Side === 'left' ? trials[i].meta.t1_task : trials[i].meta.t2_task;
 		const rightTask = trialT1Side === 'left' ? trials[i].meta.t2_task : trials[i].meta.t1_task;
-		const { leftConfig, rightConfig } = buildDualCanvasSEConfigs(leftTask, rightTask, trials[i].meta.earlyResolve, feedback, acceptFirstResponse, computeDualCanvasSize());
-		trialData = await runDualCanvasTrial(trials[i], leftConfig, rightConfig, prevResponseTime);
+		const { leftConfig, rightConfig } = buildDualCanvasSEConfigs(leftTask, rightTask, trials[i].meta.earlyResolve, feedback, acceptFirstResponse, computeDualCanvasSize(), tasks, blockConfig.canvasKeyMaps);
+		trialData = await runDualCanvasTrial(trials[i], leftConfig, rightConfig, cueTiming);
+	    } else if (canvasType === 'alternating-prp') {
+		const configFor = j => buildAlternatingSEConfig(trials[j].meta.t1_task, trials[j].meta.side, trials[j].meta.earlyResolve, feedback, acceptFirstResponse, computeDualCanvasSize(), tasks, sidedKeyMaps(blockConfig, trials[j].meta.side));
+		trialData = await runOverlappingAlternatingTrial(trials, i, configFor, leftParent, rightParent, overlapState);
 	    } else if (canvasType === 'alternating') {
-		const config = buildAlternatingSEConfig(trials[i].meta.t1_task, trials[i].meta.side, trials[i].meta.earlyResolve, feedback, acceptFirstResponse, computeDualCanvasSize());
-		trialData = await runAlternatingTrial(trials[i], config, leftParent, rightParent);
+		const config = buildAlternatingSEConfig(trials[i].meta.t1_task, trials[i].meta.side, trials[i].meta.earlyResolve, feedback, acceptFirstResponse, computeDualCanvasSize(), tasks, sidedKeyMaps(blockConfig, trials[i].meta.side));
+		trialData = await runAlternatingTrial(trials[i], config, leftParent, rightParent, cueTiming);
 	    } else if (canvasType === 'prp-baseline') {
-		const config = buildAlternatingSEConfig(trials[i].meta.t2_task, trials[i].meta.side, trials[i].meta.earlyResolve, feedback, acceptFirstResponse, computeDualCanvasSize());
-		trialData = await runBaselinePRPTrial(trials[i], config, leftParent, rightParent)
+		const config = buildAlternatingSEConfig(trials[i].meta.t2_task, trials[i].meta.side, trials[i].meta.earlyResolve, feedback, acceptFirstResponse, computeDualCanvasSize(), tasks, sidedKeyMaps(blockConfig, trials[i].meta.side));
+		trialData = await runBaselinePRPTrial(trials[i], config, leftParent, rightParent, cueTiming);
+	    } else if (canvasType === 'voluntary') {
+		trialData = await runVoluntaryTrial(trials[i], seConfig, cueTiming);
+		const prevTask = i > 0 ? allTrialData[allTrialData.length - 1].t1_task : null;
+		trialData.transitionType = voluntaryTransition(prevTask, trialData.t1_task, i === 0);
+		if (trialData.t1_task !== null) {
+		    trialData.t1_target_coherence = trials[i].seParams["coh_" + trialData.t1_task + "_1"];
+		}
 	    } else {
-		trialData = await runTrial(trials[i], seConfig, prevResponseTime);
+		trialData = await runTrial(trials[i], seConfig, cueTiming);
 	    }
             trialData.blockOrder = blockOrder;
+            trialData.sessionSeed = currentSessionSeed;
             trialData.isPractice = blockDef.isPractice || false;
+	    trialData.responseAlternatives = blockConfig.responseAlternatives ?? 2;
+	    trialData.srMapping = blockConfig.srMapping ?? null;
+	    // Sequence context known only at runtime: the block's first trial
+	    // follows a pause screen (instructions or the inter-block break)
+	    Object.assign(trialData, previousOutcome(i > 0 ? allTrialData[allTrialData.length - 1] : null));
+	    trialData.afterBreak = i === 0 && (blockOrder > 1 || Boolean(instructions));
 	    if (task_1) {
 		trialData.t1_target_coherence = t1Params["coh_" + task_1 + "_1"];
 	    }
 	    if (task_2) {
 		// Single-canvas: T2 is on channel 2 (_2 suffix).
-		// Dual-canvas: each canvas is independent, so T2 is on its own channel 1 (_1 suffix).
-		const t2Suffix = canvasType === 'dual-canvas' ? "_1" : "_2";
+		// Dual-canvas and prp-baseline: T2 is on its own canvas's channel 1 (_1 suffix).
+		const t2Suffix = canvasType === 'dual-canvas' || canvasType === 'prp-baseline' ? "_1" : "_2";
 		trialData.t2_target_coherence = t2Params["coh_" + task_2 + t2Suffix];
 	    }
-            prevResponseTime = performance.now();
-	    if (blockDef.runQuest) {
-		quest.update(newCoherence, trialData.accuracy1 === 'correct');
+	    if (!['dual-prp', 'alternating-prp'].includes(canvasType)) {
+		// dual-prp and alternating-prp trials have no single cue onset
+		cueTiming.anchor = rciAnchor(cueTiming.launch, performance.now(), trialData,
+		    trials[i].meta.earlyResolve ?? blockConfig.earlyResolve);
+		trialData.achievedRci = cueTiming.achievedRci;
+		trialData.cti = trials[i].meta.catchType === 't2-only' ? null : t1Params.start_go_1 - t1Params.start_1;
+	    }
+	    if (stopTrial) {
+		ssdStaircase.update(trialData.accuracy1 === 'successful-stop');
+	    }
+	    if (questTrial) {
+		trialData.staircaseId = questKey;
+		trialData.staircaseIntensity = newCoherence;
+		const reversalsBefore = quest.reversals?.length;
+		quest.update(newCoherence, trialData[questTarget.accuracy] === 'correct');
+		if (quest.reversals) {
+		    trialData.staircaseReversal = quest.reversals.length > reversalsBefore;
+		}
+	    }
+	    // Catch trials are missing a response the staircase measures
+	    if (soaStaircase && (trials[i].meta.catchType ?? 'both') === 'both') {
+		soaStaircase.update(trialData);
 	    }
 
             allTrialData.push(trialData);
 
+	    // Stopping rule (posterior SD, reversals or trial cap), once every
+	    // staircase started so far has met it
+	    if (questTrial && [...staircases.values()].every(s => s.isDone())) break;
         }
+	if (canvasType === 'voluntary') {
+	    // Voluntary switch rate over the block's scored choices
+	    const blockRows = allTrialData.slice(blockStart);
+	    const voluntarySwitchRate = computeSwitchRate(blockRows.map(row => row.transitionType));
+	    for (const row of blockRows) row.realizedSwitchRate = voluntarySwitchRate;
+	}
+	if (ssdStaircase) {
+	    // Block SSRT from the block's own go and stop trials
+	    const blockRows = allTrialData.slice(blockStart);
+	    const ssrt = computeSSRT(blockRows);
+	    for (const row of blockRows) row.ssrt = ssrt;
+	}
+	if (soaStaircase) {
+	    const finalSoaEstimate = soaStaircase.getEstimate();
+	    for (let j = blockStart; j < allTrialData.length; j++) {
+		allTrialData[j].finalSoaEstimate = finalSoaEstimate;
+	    }
+	}
 	// originally I ran getFinalEstimate here but in perfect blocks, subtracting the prior causes serious problems
 	if (blockDef.runQuest) {
-	    return quest.getNextIntensity();
+	    const summaries = new Map([...staircases].map(([key, s]) => [key, summarizeStaircase(s)]));
+	    for (let j = blockStart; j < allTrialData.length; j++) {
+		const summary = summaries.get(staircaseKey(allTrialData[j], questConfig.interleave, questTarget.slot));
+		if (summary) Object.assign(allTrialData[j], summary);
+	    }
+	    // Coherence is task-indexed, so only the block staircase or
+	    // per-task staircases calibrate later blocks
+	    if (!questConfig.interleave) {
+		const estimate = summaries.get('block')?.questEstimate;
+		if (questTarget.slot === 't1') return estimate;
+		// The block's startTask is T1's, so a T2 estimate is credited to
+		// the T2 task only when the block adapted a single one
+		const t2Tasks = new Set(allTrialData.slice(blockStart).filter(row => row.staircaseId).map(row => row.t2_task));
+		return estimate !== undefined && t2Tasks.size === 1 ? { [[...t2Tasks][0]]: estimate } : undefined;
+	    }
+	    if (questConfig.interleave === 'task') {
+		return Object.fromEntries([...summaries].map(([task, summary]) => [task, summary.questEstimate]));
+	    }
 	}
     }
 
@@ -306,10 +577,16 @@ const Session = (() => {
 
     /**
      * Run a complete session (multiple blocks).
+     *
+     * @param {object[]} sessionDef - block definitions
+     * @param {HTMLElement} containerEl
+     * @param {number|null} [sessionSeed] - seeds every block that has no seed
+     *   of its own; a random seed is drawn if omitted
      */
-    async function runSession(sessionDef, containerEl) {
+    async function runSession(sessionDef, containerEl, sessionSeed = null) {
         canvasContainer = containerEl;
         currentSessionDef = sessionDef;
+        currentSessionSeed = sessionSeed ?? randomSeed();
         allTrialData = [];
         isRunning = true;
 
@@ -321,7 +598,13 @@ const Session = (() => {
             if (!isRunning) break;
             const questResult = await runBlock(sessionDef[b], b + 1);
 	    if (questResult !== undefined) {
-		questCoherences[sessionDef[b].blockConfig.startTask] = questResult;
+		// A single estimate belongs to the block's start task; interleaved
+		// staircases return one per task
+		if (typeof questResult === 'number') {
+		    questCoherences[sessionDef[b].blockConfig.startTask] = questResult;
+		} else {
+		    Object.assign(questCoherences, questResult);
+		}
 		overwriteCoherence(sessionDef, questCoherences, b + 1);
 	    }
 
@@ -373,13 +656,34 @@ const Session = (() => {
         // Column order
 	const columns = [
 	    'blockOrder', 'blockId', 'blockType', 'paradigm', 'isPractice',
-	    'trialNumber', 't1_task', 't2_task', 'transitionType',
-	    'iti', 'soa', 'side', 't1Side', 'earlyResolve',
+	    'sessionSeed', 'seed',
+	    'trialNumber', 'firstTrialOfBlock', 'afterBreak',
+	    't1_task', 't2_task', 'transitionType', 'n2Transition', 'runPosition', 'responseTransition',
+	    'prevAccuracy1', 'prevAccuracy2',
+	    'switchRate', 'realizedSwitchRate',
+	    'iti', 'rci', 'achievedRci', 'csi', 'cti', 'soa', 'achievedSoa', 'rsi', 'side', 't1Side', 'earlyResolve',
+	    'responseAlternatives', 'srMapping',
 	    't1_target_dir', 't1_distractor_dir',
 	    't2_target_dir', 't2_distractor_dir',
+	    't1_congruency', 't2_congruency', 'cross_congruency', 'compatibility', 'catchType',
+	    'stopTrial', 'ssd', 'ssrt', 'finalSoaEstimate',
+	    'questEstimate', 'questPosteriorMean', 'questPosteriorMode', 'questPosteriorSd', 'questSlope', 'questLapse',
+	    'staircaseId', 'staircaseIntensity', 'staircaseReversal',
 	    't1_target_coherence', 't2_target_coherence',
 	    'rt1', 'accuracy1', 'rt2', 'accuracy2',
-	    'responseOrder', 'rt1_raw', 'rt2_raw', 'rawKeyPresses',
+	    'responseOrder', 'rt1_raw', 'rt2_raw',
+	    // dual-prp: two tasks per canvas
+	    'left_t1_task', 'left_t2_task', 'right_t1_task', 'right_t2_task',
+	    'left_transitionType', 'right_transitionType', 'left_runPosition', 'right_runPosition',
+	    'left_soa', 'right_soa', 'left_csi', 'right_csi',
+	    'left_t1_target_dir', 'left_t2_target_dir', 'right_t1_target_dir', 'right_t2_target_dir',
+	    'left_compatibility', 'right_compatibility',
+	    'left_t1_target_coherence', 'left_t2_target_coherence',
+	    'right_t1_target_coherence', 'right_t2_target_coherence',
+	    'left_rt1', 'left_accuracy1', 'left_rt2', 'left_accuracy2', 'left_responseOrder',
+	    'right_rt1', 'right_accuracy1', 'right_rt2', 'right_accuracy2', 'right_responseOrder',
+	    'left_rt1_raw', 'left_rt2_raw', 'right_rt1_raw', 'right_rt2_raw',
+	    'rawKeyPresses',
 	];
 
 
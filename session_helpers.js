@@ -17,6 +17,222 @@ const NATURAL_IJKL = { 0: 'l', 90: 'i', 180: 'j', 270: 'k' };
 // Reversed 4-direction preset (spatially counterintuitive)
 const UNNATURAL_WASD = { 0: 'a', 90: 's', 180: 'd', 270: 'w' };
 
+// Second 4-direction cluster per hand, for four-direction dual-PRP
+const NATURAL_TFGH = { 0: 'h', 90: 't', 180: 'f', 270: 'g' };
+const NATURAL_NUMPAD = { 0: '6', 90: '8', 180: '4', 270: '5' };
+
+// Upper-row horizontal presets, a second key pair per hand for dual-PRP
+const LEFT_HAND_UPPER_KEYS = { 180: 'q', 0: 'e' };
+const RIGHT_HAND_UPPER_KEYS = { 180: 'u', 0: 'o' };
+
+// Default dual-PRP mapping: four keys per hand, one pair per task and canvas
+const DUAL_PRP_KEY_MAPS = {
+    left: { mov: LEFT_HAND_KEYS, or: LEFT_HAND_UPPER_KEYS },
+    right: { mov: RIGHT_HAND_KEYS, or: RIGHT_HAND_UPPER_KEYS },
+};
+
+// SE config field holding each task's key map. Tasks beyond these two use
+// `${task}KeyMap` (see seKeyMapField).
+const SE_KEY_MAP_FIELDS = { mov: 'movementKeyMap', or: 'orientationKeyMap' };
+
+/**
+ * SE config field name for a task's key map.
+ * @param {string} task - e.g. 'mov', 'or', 'col'
+ */
+function seKeyMapField(task) {
+    return SE_KEY_MAP_FIELDS[task] ?? `${task}KeyMap`;
+}
+
+/**
+ * Key map fields for one active task: the active task gets activeKeys, every
+ * other task in the set gets dummy (unmatchable) keys.
+ */
+function buildTaskKeyMaps(activeTask, activeKeys, tasks) {
+    const keyMaps = {};
+    for (const task of tasks) {
+	keyMaps[seKeyMapField(task)] = { ...DUMMY_KEYS };
+    }
+    keyMaps[seKeyMapField(activeTask)] = { ...activeKeys };
+    return keyMaps;
+}
+
+// ============================================================
+// Response mappings
+// ============================================================
+
+/**
+ * Spatially reversed key map: each direction takes the key of the opposite
+ * direction (NATURAL_WASD -> UNNATURAL_WASD).
+ */
+function reverseKeyMap(keyMap) {
+    const reversed = {};
+    for (const [dir, key] of Object.entries(keyMap)) {
+	reversed[(Number(dir) + 180) % 360] = key;
+    }
+    return reversed;
+}
+
+/**
+ * Natural key clusters per hand for 2- or 4-direction tasks. upper is the
+ * hand's second cluster, used by dual-PRP.
+ */
+function handKeyPresets(alternatives) {
+    if (alternatives === 4) {
+	return {
+	    left: NATURAL_WASD, right: NATURAL_IJKL,
+	    leftUpper: NATURAL_TFGH, rightUpper: NATURAL_NUMPAD,
+	};
+    }
+    return {
+	left: LEFT_HAND_KEYS, right: RIGHT_HAND_KEYS,
+	leftUpper: LEFT_HAND_UPPER_KEYS, rightUpper: RIGHT_HAND_UPPER_KEYS,
+    };
+}
+
+/**
+ * Fill in a block's key maps from blockConfig.responseAlternatives (2 or 4
+ * directions per task) and blockConfig.srMapping ('natural' | 'unnatural').
+ * Blocks that set neither are returned unchanged.
+ *
+ * Explicit keyMaps / canvasKeyMaps are kept (on two-canvas paradigms each
+ * canvas takes canvasKeyMaps[side], then keyMaps, as the trial generators
+ * do; dual-PRP only canvasKeyMaps); otherwise the natural presets
+ * for the paradigm are used: single-canvas blocks map the first task to the
+ * left hand and the second to the right (both to the left with identical
+ * RSO), two-canvas paradigms map each canvas to its hand, and dual-PRP adds
+ * each hand's second cluster for its canvas's second task. 'unnatural'
+ * then reverses every map (see reverseKeyMap), so blocks can alternate the
+ * S-R compatibility of the same keys.
+ *
+ * @param {object} blockConfig
+ * @returns {object} blockConfig with keyMaps or canvasKeyMaps and srMapping set
+ */
+function applyResponseMapping(blockConfig) {
+    const alternatives = blockConfig.responseAlternatives ?? 2;
+    if (blockConfig.responseAlternatives === undefined && blockConfig.srMapping === undefined) {
+	return blockConfig;
+    }
+    if (alternatives !== 2 && alternatives !== 4) {
+	throw new Error(`Block '${blockConfig.blockId}': responseAlternatives must be 2 or 4, got ${alternatives}`);
+    }
+    const srMapping = blockConfig.srMapping ?? 'natural';
+    if (srMapping !== 'natural' && srMapping !== 'unnatural') {
+	throw new Error(`Block '${blockConfig.blockId}': unknown srMapping '${srMapping}'`);
+    }
+
+    const tasks = blockConfig.tasks ?? Object.keys(SE_KEY_MAP_FIELDS);
+    const hands = handKeyPresets(alternatives);
+    const orient = keyMap => srMapping === 'unnatural' ? reverseKeyMap(keyMap) : { ...keyMap };
+    const orientAll = keyMaps => Object.fromEntries(Object.entries(keyMaps).map(([task, keyMap]) => [task, orient(keyMap)]));
+    const perTask = keyMap => Object.fromEntries(tasks.map(task => [task, keyMap]));
+
+    const paradigm = blockConfig.paradigm;
+    const twoCanvas = ['dual-canvas', 'dual-prp', 'alternating', 'alternating-prp', 'prp-baseline'].includes(paradigm);
+    if (!twoCanvas) {
+	let keyMaps = blockConfig.keyMaps;
+	if (!keyMaps) {
+	    if (blockConfig.rso === 'disjoint' && tasks.length > 2) {
+		throw new Error(`Block '${blockConfig.blockId}': disjoint key presets cover two tasks; give keyMaps for ${tasks.length}`);
+	    }
+	    keyMaps = blockConfig.rso === 'disjoint'
+		? { [tasks[0]]: hands.left, [tasks[1]]: hands.right }
+		: perTask(hands.left);
+	}
+	return { ...blockConfig, srMapping, keyMaps: orientAll(keyMaps) };
+    }
+
+    // Each canvas keeps its explicit maps: canvasKeyMaps[side], then (except
+    // dual-PRP, which reads canvasKeyMaps only) the block's keyMaps
+    const explicitFor = side => blockConfig.canvasKeyMaps?.[side]
+	?? (paradigm === 'dual-prp' ? undefined : blockConfig.keyMaps);
+    const canvasKeyMaps = {};
+    for (const side of ['left', 'right']) {
+	let keyMaps = explicitFor(side);
+	if (!keyMaps && paradigm === 'dual-prp') {
+	    if (tasks.length > 2) {
+		throw new Error(`Block '${blockConfig.blockId}': dual-PRP key presets cover two tasks; give canvasKeyMaps for ${tasks.length}`);
+	    }
+	    keyMaps = { [tasks[0]]: hands[side], [tasks[1]]: hands[`${side}Upper`] };
+	}
+	canvasKeyMaps[side] = orientAll(keyMaps ?? perTask(hands[side]));
+    }
+    return { ...blockConfig, srMapping, canvasKeyMaps };
+}
+
+// ============================================================
+// Key instructions
+// ============================================================
+
+// Direction names, in the order key instructions list them
+const DIRECTION_NAMES = [[180, 'left'], [0, 'right'], [90, 'up'], [270, 'down']];
+
+/**
+ * Key instructions for one key map, e.g. 'A = left, D = right'.
+ */
+function describeKeyMap(keyMap) {
+    return DIRECTION_NAMES
+	.filter(([dir]) => keyMap[dir] !== undefined)
+	.map(([dir, name]) => `${keyMap[dir].toUpperCase()} = ${name}`)
+	.join(', ');
+}
+
+/**
+ * Key instructions for a set of key maps keyed by task: the shared keys when
+ * every task uses the same map, otherwise each task's keys
+ * ('mov: A = left, D = right; or: Q = left, E = right').
+ */
+function describeTaskKeys(taskKeyMaps) {
+    const described = Object.entries(taskKeyMaps).map(([task, keyMap]) => [task, describeKeyMap(keyMap)]);
+    if (described.every(([, text]) => text === described[0][1])) return described[0][1];
+    return described.map(([task, text]) => `${task}: ${text}`).join('; ');
+}
+
+/**
+ * Key maps keyed by task that one canvas of a two-canvas block responds
+ * with, resolved as the SE config builders do: dual-PRP takes
+ * canvasKeyMaps or DUAL_PRP_KEY_MAPS, dual-canvas canvasKeyMaps[side], the
+ * sided paradigms canvasKeyMaps[side] then keyMaps (engine sidedKeyMaps);
+ * unmapped tasks use the hand's 0/180 keys.
+ *
+ * @param {object} blockConfig - block config after applyResponseMapping
+ * @param {string} side - 'left' or 'right'
+ * @param {string[]} tasks - block task set (engine resolveTasks)
+ */
+function canvasTaskKeyMaps(blockConfig, side, tasks) {
+    if (blockConfig.paradigm === 'dual-prp') {
+	return (blockConfig.canvasKeyMaps ?? DUAL_PRP_KEY_MAPS)[side];
+    }
+    const keyMaps = blockConfig.paradigm === 'dual-canvas'
+	? blockConfig.canvasKeyMaps?.[side]
+	: blockConfig.canvasKeyMaps?.[side] ?? blockConfig.keyMaps;
+    const handKeys = side === 'left' ? LEFT_HAND_KEYS : RIGHT_HAND_KEYS;
+    return Object.fromEntries(tasks.map(task => [task, keyMaps?.[task] ?? handKeys]));
+}
+
+/**
+ * Help text lines naming a block's response keys: one line per canvas on
+ * two-canvas paradigms, otherwise the single canvas's keys (buildSEConfig
+ * presets when the block gives no keyMaps).
+ *
+ * @param {object} blockConfig - block config after applyResponseMapping
+ * @param {string[]} tasks - block task set (engine resolveTasks)
+ * @returns {string[]}
+ */
+function describeBlockKeys(blockConfig, tasks) {
+    const twoCanvas = ['dual-canvas', 'dual-prp', 'alternating', 'alternating-prp', 'prp-baseline'].includes(blockConfig.paradigm);
+    if (twoCanvas) {
+	return [
+	    `Left task controls: ${describeTaskKeys(canvasTaskKeyMaps(blockConfig, 'left', tasks))}`,
+	    `Right task controls: ${describeTaskKeys(canvasTaskKeyMaps(blockConfig, 'right', tasks))}`,
+	];
+    }
+    const keyMaps = blockConfig.keyMaps ?? {
+	mov: LEFT_HAND_KEYS,
+	or: blockConfig.rso === 'disjoint' ? RIGHT_HAND_KEYS : LEFT_HAND_KEYS,
+    };
+    return [`Keys: ${describeTaskKeys(keyMaps)}`];
+}
+
 // ============================================================
 // SE config builders
 // ============================================================
@@ -29,13 +245,17 @@ const UNNATURAL_WASD = { 0: 'a', 90: 's', 180: 'd', 270: 'w' };
  *
  * @param {string} rso - 'disjoint' or 'identical'
  * @param {boolean} earlyResolve
- * @param {{ mov: object, or: object }} [keyMaps] - explicit key maps from block config
+ * @param {Object<string, object>} [keyMaps] - explicit key maps from block config,
+ *   keyed by task (each becomes the SE field named by seKeyMapField)
  */
 function buildSEConfig(rso, earlyResolve, feedback, acceptFirstResponse, keyMaps) {
     if (keyMaps) {
+        const taskKeyMaps = {};
+        for (const [task, keyMap] of Object.entries(keyMaps)) {
+	    taskKeyMaps[seKeyMapField(task)] = { ...keyMap };
+        }
         return {
-            movementKeyMap: { ...keyMaps.mov },
-            orientationKeyMap: { ...keyMaps.or },
+            ...taskKeyMaps,
             size: 0.75,
 	    acceptFirstResponse,
 	    feedback,
@@ -65,26 +285,24 @@ function buildSEConfig(rso, earlyResolve, feedback, acceptFirstResponse, keyMaps
 
 /**
  * Build SE configs for simultaneous dual-canvas display.
- * Left canvas uses left-hand keys, right canvas uses right-hand keys.
- * The inactive pathway on each canvas gets dummy (unmatchable) keys.
+ * Left canvas uses left-hand keys, right canvas uses right-hand keys, unless
+ * canvasKeyMaps gives that canvas's key map for the task. The inactive
+ * pathway on each canvas (including a within-canvas distractor) gets dummy
+ * (unmatchable) keys.
  *
- * @param {string} leftTask - 'mov' or 'or'
- * @param {string} rightTask - 'mov' or 'or'
+ * @param {string} leftTask - e.g. 'mov' or 'or'
+ * @param {string} rightTask - e.g. 'mov' or 'or'
  * @param {boolean} earlyResolve - whether the trial resolves on response
  * @param {number} size - canvas size (fraction of viewport)
+ * @param {string[]} [tasks] - block task set; defaults to mov and or
+ * @param {{ left?: object, right?: object }} [canvasKeyMaps] - per-canvas key
+ *   maps keyed by task, from blockConfig.canvasKeyMaps
  */
-function buildDualCanvasSEConfigs(leftTask, rightTask, earlyResolve, feedback, acceptFirstResponse, size) {
-    let leftConfig, rightConfig;
-    if (leftTask === 'mov') {
-	leftConfig = { movementKeyMap: { ...LEFT_HAND_KEYS }, orientationKeyMap: { ...DUMMY_KEYS }, size, acceptFirstResponse, feedback, earlyResolve };
-    } else {
-	leftConfig = { orientationKeyMap: { ...LEFT_HAND_KEYS }, movementKeyMap: { ...DUMMY_KEYS }, size, acceptFirstResponse, feedback, earlyResolve };
-    }
-    if (rightTask === 'mov') {
-	rightConfig = { movementKeyMap: { ...RIGHT_HAND_KEYS }, orientationKeyMap: { ...DUMMY_KEYS }, size, acceptFirstResponse, feedback, earlyResolve };
-    } else {
-	rightConfig = { orientationKeyMap: { ...RIGHT_HAND_KEYS }, movementKeyMap: { ...DUMMY_KEYS }, size, acceptFirstResponse, feedback, earlyResolve };
-    }
+function buildDualCanvasSEConfigs(leftTask, rightTask, earlyResolve, feedback, acceptFirstResponse, size, tasks = Object.keys(SE_KEY_MAP_FIELDS), canvasKeyMaps = null) {
+    const leftKeys = canvasKeyMaps?.left?.[leftTask] ?? LEFT_HAND_KEYS;
+    const rightKeys = canvasKeyMaps?.right?.[rightTask] ?? RIGHT_HAND_KEYS;
+    const leftConfig = { ...buildTaskKeyMaps(leftTask, leftKeys, tasks), size, acceptFirstResponse, feedback, earlyResolve };
+    const rightConfig = { ...buildTaskKeyMaps(rightTask, rightKeys, tasks), size, acceptFirstResponse, feedback, earlyResolve };
     return { leftConfig, rightConfig };
 }
 
@@ -92,17 +310,41 @@ function buildDualCanvasSEConfigs(leftTask, rightTask, earlyResolve, feedback, a
  * Build SE config for a single canvas in a sided (alternating/baseline) display.
  * Maps the active task to the correct hand based on side.
  *
- * @param {string} task - 'mov' or 'or'
+ * @param {string} task - e.g. 'mov' or 'or'
  * @param {string} side - 'left' or 'right'
  * @param {boolean} earlyResolve - whether the trial resolves on response
  * @param {number} size - canvas size (fraction of viewport)
+ * @param {string[]} [tasks] - block task set; defaults to mov and or
+ * @param {object} [keyMaps] - key maps keyed by task for this side (engine
+ *   sidedKeyMaps); the active task falls back to the hand's 0/180 keys
+ */
+function buildAlternatingSEConfig(task, side, earlyResolve, feedback, acceptFirstResponse, size, tasks = Object.keys(SE_KEY_MAP_FIELDS), keyMaps = null) {
+    const horizontalMapping = side === 'left' ? LEFT_HAND_KEYS : RIGHT_HAND_KEYS;
+    const activeKeys = keyMaps?.[task] ?? horizontalMapping;
+    return { ...buildTaskKeyMaps(task, activeKeys, tasks), size, acceptFirstResponse, feedback, earlyResolve };
+}
+
+/**
+ * Build SE configs for dual-PRP (a two-channel PRP trial on each canvas).
+ * Each canvas maps every task to its own key pair, so keypresses can be
+ * attributed to all four tasks.
+ *
+ * @param {{ left: object, right: object }} [canvasKeyMaps] - per-canvas key maps
+ *   keyed by task; defaults to DUAL_PRP_KEY_MAPS (left a/d + q/e, right j/l + u/o)
+ * @param {boolean} earlyResolve - whether the trial resolves on response
+ * @param {number} size - canvas size (fraction of viewport)
  */
-function buildAlternatingSEConfig(task, side, earlyResolve, feedback, acceptFirstResponse, size) {
-    const horizontalMapping = side === 'left' ? { ...LEFT_HAND_KEYS } : { ...RIGHT_HAND_KEYS };
-    if (task === 'mov') {
-	return { movementKeyMap: horizontalMapping, orientationKeyMap: { ...DUMMY_KEYS }, size, acceptFirstResponse, feedback, earlyResolve };
+function buildDualPRPSEConfigs(canvasKeyMaps, earlyResolve, feedback, acceptFirstResponse, size) {
+    const keyMaps = canvasKeyMaps ?? DUAL_PRP_KEY_MAPS;
+    const configs = {};
+    for (const side of ['left', 'right']) {
+	const taskKeyMaps = {};
+	for (const [task, keyMap] of Object.entries(keyMaps[side])) {
+	    taskKeyMaps[seKeyMapField(task)] = { ...keyMap };
+	}
+	configs[side] = { ...taskKeyMaps, size, acceptFirstResponse, feedback, earlyResolve };
     }
-    return { movementKeyMap: { ...DUMMY_KEYS }, orientationKeyMap: horizontalMapping, size, acceptFirstResponse, feedback, earlyResolve };
+    return { leftConfig: configs.left, rightConfig: configs.right };
 }
 
 // ============================================================
@@ -114,14 +356,14 @@ function buildAlternatingSEConfig(task, side, earlyResolve, feedback, acceptFirs
  * Returns null for identical RSO (falls back to temporal ordering).
  */
 function buildKeyTaskMap(seConfig, trial) {
-    const movKeys = Object.values(seConfig.movementKeyMap || {});
-    const orKeys = Object.values(seConfig.orientationKeyMap || {});
-    const isDisjoint = movKeys.length > 0 && orKeys.length > 0 &&
-        !movKeys.some(k => orKeys.includes(k));
-    if (!isDisjoint) return null;
     const task1 = trial.meta.t1_task;
-    const task1Keys = task1 === 'mov' ? movKeys : orKeys;
-    const task2Keys = task1 === 'mov' ? orKeys : movKeys;
+    // Without a T2 task in meta, assume the classic mov/or pairing
+    const task2 = trial.meta.t2_task ?? (task1 === 'mov' ? 'or' : 'mov');
+    const task1Keys = Object.values(seConfig[seKeyMapField(task1)] || {});
+    const task2Keys = Object.values(seConfig[seKeyMapField(task2)] || {});
+    const isDisjoint = task1Keys.length > 0 && task2Keys.length > 0 &&
+        !task1Keys.some(k => task2Keys.includes(k));
+    if (!isDisjoint) return null;
     return { task1Keys, task2Keys };
 }
 
@@ -171,6 +413,33 @@ function extractSingleStreamResponse(keyPresses, goSignalOnset, acceptFirstRespo
     return { rt, rt_raw, accuracy, consumedCount };
 }
 
+/**
+ * Score the keypresses attributed to a task omitted on a catch trial: any
+ * press is a 'false-alarm' (rt_raw of the first one), none is a
+ * 'correct-rejection'. rt stays null since there was no go signal.
+ */
+function scoreAbsentTask(keyPresses) {
+    return {
+	rt: null,
+	rt_raw: keyPresses.length > 0 ? keyPresses[0].time : null,
+	accuracy: keyPresses.length > 0 ? 'false-alarm' : 'correct-rejection',
+	consumedCount: keyPresses.length,
+    };
+}
+
+/**
+ * Score a stop trial: no press is a 'successful-stop', any press a
+ * 'failed-stop' whose rt (signal-respond RT) comes from the first press,
+ * correct or not.
+ */
+function scoreStopTrial(keyPresses, goSignalOnset) {
+    if (keyPresses.length === 0) {
+	return { rt: null, rt_raw: null, accuracy: 'successful-stop', consumedCount: 0 };
+    }
+    const rt_raw = keyPresses[0].time;
+    return { rt: rt_raw - goSignalOnset, rt_raw, accuracy: 'failed-stop', consumedCount: keyPresses.length };
+}
+
 /**
  * Extract RT and accuracy from SE data (single-canvas, single- or dual-task).
  *
@@ -186,6 +455,13 @@ function extractSingleStreamResponse(keyPresses, goSignalOnset, acceptFirstRespo
  * For identical RSO: falls back to temporal ordering (1st correct → T1,
  * 2nd correct → T2). This is inherently ambiguous for response reversals.
  *
+ * Catch trials (meta.catchType 't1-only' / 't2-only') score the absent
+ * task with scoreAbsentTask. Under identical RSO the absent T2 gets the
+ * presses left after T1's response; the absent T1 gets the presses made
+ * before T2's go signal.
+ *
+ * Stop trials (meta.stopTrial) are scored with scoreStopTrial.
+ *
  * Since sleep(iti) happens before block(), block-internal timestamps
  * start at 0 (after ITI). No ITI subtraction needed.
  */
@@ -193,6 +469,9 @@ function extractResponse(data, trial, seConfig) {
     const keyPresses = data.keyPresses || [];
     const isDualTask = trial.meta.paradigm === 'dual-task';
     const keyMap = isDualTask ? buildKeyTaskMap(seConfig, trial) : null;
+    const catchType = isDualTask ? (trial.meta.catchType ?? 'both') : 'both';
+    const t1Absent = catchType === 't2-only';
+    const t2Absent = catchType === 't1-only';
 
     let t1Result, t2Result;
 
@@ -200,14 +479,29 @@ function extractResponse(data, trial, seConfig) {
 	// Disjoint RSO: split keypresses by key set, extract independently
 	const t1Presses = keyPresses.filter(kp => keyMap.task1Keys.includes(kp.key));
 	const t2Presses = keyPresses.filter(kp => keyMap.task2Keys.includes(kp.key));
-	t1Result = extractSingleStreamResponse(t1Presses, trial.seParams.start_go_1, seConfig.acceptFirstResponse);
-	t2Result = extractSingleStreamResponse(t2Presses, trial.seParams.start_go_2, seConfig.acceptFirstResponse);
+	t1Result = t1Absent
+	    ? scoreAbsentTask(t1Presses)
+	    : extractSingleStreamResponse(t1Presses, trial.seParams.start_go_1, seConfig.acceptFirstResponse);
+	t2Result = t2Absent
+	    ? scoreAbsentTask(t2Presses)
+	    : extractSingleStreamResponse(t2Presses, trial.seParams.start_go_2, seConfig.acceptFirstResponse);
+    } else if (t1Absent) {
+	// Identical RSO, T1 omitted: nothing before T2's go signal can answer T2
+	const early = keyPresses.filter(kp => kp.time < trial.seParams.start_go_2);
+	t1Result = scoreAbsentTask(early);
+	t2Result = extractSingleStreamResponse(
+	    keyPresses.slice(early.length), trial.seParams.start_go_2, seConfig.acceptFirstResponse
+	);
+    } else if (trial.meta.stopTrial) {
+	t1Result = scoreStopTrial(keyPresses, trial.seParams.start_go_1);
     } else {
 	// Identical RSO or single-task: temporal ordering
 	t1Result = extractSingleStreamResponse(keyPresses, trial.seParams.start_go_1, seConfig.acceptFirstResponse);
 	if (isDualTask) {
 	    const remaining = keyPresses.slice(t1Result.consumedCount);
-	    t2Result = extractSingleStreamResponse(remaining, trial.seParams.start_go_2, seConfig.acceptFirstResponse);
+	    t2Result = t2Absent
+		? scoreAbsentTask(remaining)
+		: extractSingleStreamResponse(remaining, trial.seParams.start_go_2, seConfig.acceptFirstResponse);
 	}
     }
 
@@ -218,7 +512,7 @@ function extractResponse(data, trial, seConfig) {
 	rt2_raw: isDualTask ? (t2Result.rt_raw ?? null) : null,
 	rt2: isDualTask ? (t2Result.rt ?? null) : null,
 	accuracy2: isDualTask ? (t2Result.accuracy ?? 'miss') : null,
-	responseOrder: (isDualTask && t1Result.rt_raw !== null && t2Result.rt_raw !== null)
+	responseOrder: (isDualTask && catchType === 'both' && t1Result.rt_raw !== null && t2Result.rt_raw !== null)
 	    ? (t1Result.rt_raw <= t2Result.rt_raw ? 'T1-first' : 'T2-first')
 	    : null,
 	rawKeyPresses: JSON.stringify(keyPresses),
@@ -236,12 +530,138 @@ function extractAlternatingResponse(data, trial, seConfig) {
     };
 }
 
-function extractDualCanvasResponse(t1Data, t2Data, t1GoOnset, t2GoOnset, t1Config, t2Config) {
-    const t1Result = extractSingleStreamResponse(t1Data.keyPresses, t1GoOnset, t1Config.acceptFirstResponse);
-    const t2Result = extractSingleStreamResponse(t2Data.keyPresses, t2GoOnset, t2Config.acceptFirstResponse);
+/**
+ * Extract the chosen task, RT and accuracy for a voluntary task switching
+ * trial. The first press on any task's key set picks the task (keys of no
+ * task are ignored) and is correct when it is that task's key for its
+ * target direction in trial.meta.voluntaryDirs. SE's isCorrect flags refer
+ * to a single task and are not used.
+ *
+ * @returns {object} t1_task (the chosen task, null on a miss), t1_target_dir,
+ *   rt1 (the choice RT), rt1_raw, accuracy1 ('correct', 'error' or 'miss'),
+ *   plus the empty T2 fields and rawKeyPresses
+ */
+function extractVoluntaryResponse(data, trial, seConfig) {
+    const dirs = trial.meta.voluntaryDirs;
+    const keyMapOf = task => seConfig[seKeyMapField(task)] || {};
+    let chosen = null;
+    let press = null;
+    for (const kp of data.keyPresses) {
+	chosen = Object.keys(dirs).find(t => Object.values(keyMapOf(t)).includes(kp.key)) ?? null;
+	if (chosen !== null) {
+	    press = kp;
+	    break;
+	}
+    }
+    return {
+	t1_task: chosen,
+	t1_target_dir: chosen !== null ? dirs[chosen] : null,
+	rt1: press ? press.time - trial.seParams.start_go_1 : null,
+	rt1_raw: press ? press.time : null,
+	accuracy1: press ? (keyMapOf(chosen)[dirs[chosen]] === press.key ? 'correct' : 'error') : 'miss',
+	rt2: null, rt2_raw: null, accuracy2: null,
+	responseOrder: null,
+	rawKeyPresses: JSON.stringify(data.keyPresses),
+    };
+}
+
+/**
+ * Task transition of a voluntary task switching trial, from the tasks the
+ * participant chose: 'First' on the block's first trial, null when this or
+ * the previous trial was a miss, otherwise 'Repeat' or 'Switch'.
+ *
+ * @param {string|null} prevTask - task chosen on the previous trial
+ * @param {string|null} task - task chosen on this trial
+ * @param {boolean} isFirst - first trial of the block
+ * @returns {string|null}
+ */
+function voluntaryTransition(prevTask, task, isFirst) {
+    if (isFirst) return 'First';
+    if (prevTask === null || task === null) return null;
+    return prevTask === task ? 'Repeat' : 'Switch';
+}
+
+/**
+ * Previous-trial outcome columns for post-error analyses: the accuracy1 and
+ * accuracy2 of the preceding trial in the same block, null on its first trial.
+ *
+ * @param {object|null} prevTrialData - previous trial's data row, or null
+ * @returns {{ prevAccuracy1: string|null, prevAccuracy2: string|null }}
+ */
+function previousOutcome(prevTrialData) {
+    return {
+	prevAccuracy1: prevTrialData?.accuracy1 ?? null,
+	prevAccuracy2: prevTrialData?.accuracy2 ?? null,
+    };
+}
+
+/**
+ * Response-stimulus interval for overlapping alternating trials: time from
+ * the previous trial's response to this trial's go signal, on one clock.
+ * Negative when the stimulus appeared before the previous response.
+ *
+ * @param {number} prevLaunch - clock time the previous trial's SE block started
+ * @param {number|null} prevRtRaw - previous response time relative to its block start
+ * @param {number} launch - clock time this trial's SE block started
+ * @param {number} goOnset - this trial's go-signal onset relative to its block start
+ * @returns {number|null} null when the previous trial had no response
+ */
+function computeRSI(prevLaunch, prevRtRaw, launch, goOnset) {
+    if (prevRtRaw === null || prevRtRaw === undefined) return null;
+    return (launch + goOnset) - (prevLaunch + prevRtRaw);
+}
+
+/**
+ * Clock time the next trial's response-cue interval (blockConfig.rci) runs
+ * from: the trial's last response when earlyResolve ends trials on the
+ * response, otherwise (or without a response) the trial end.
+ *
+ * @param {number} launch - clock time the trial's SE block started
+ * @param {number} end - clock time the trial ended
+ * @param {object} trialData - scored trial, with rt1_raw / rt2_raw relative to launch
+ * @param {boolean} earlyResolve
+ * @returns {number}
+ */
+function rciAnchor(launch, end, trialData, earlyResolve) {
+    if (!earlyResolve) return end;
+    const rts = [trialData.rt1_raw, trialData.rt2_raw].filter(rt => rt !== null && rt !== undefined);
+    return rts.length > 0 ? launch + Math.max(...rts) : end;
+}
+
+/**
+ * Splits what is left of a response-cue interval into a blank period and a
+ * closing fixation period. Time already spent since the anchor (SE teardown,
+ * feedback) comes off the blank period first; the fixation is cut only when
+ * less than fixationDuration remains.
+ *
+ * @param {number} rci - response-cue interval in ms
+ * @param {number} fixationDuration - fixation cross at the end of the RCI, ms
+ * @param {number} elapsed - ms since the RCI anchor
+ * @returns {{ blank: number, fixation: number }}
+ */
+function rciWaits(rci, fixationDuration, elapsed) {
+    const remaining = Math.max(0, rci - elapsed);
+    const fixation = Math.min(fixationDuration, remaining);
+    return { blank: remaining - fixation, fixation };
+}
+
+/**
+ * Extract RTs and accuracies for a dual-canvas trial, one keypress stream
+ * per canvas. On catch trials the absent task's canvas is scored with
+ * scoreAbsentTask.
+ *
+ * @param {string} [catchType='both'] - trial.meta.catchType
+ */
+function extractDualCanvasResponse(t1Data, t2Data, t1GoOnset, t2GoOnset, t1Config, t2Config, catchType = 'both') {
+    const t1Result = catchType === 't2-only'
+	? scoreAbsentTask(t1Data.keyPresses)
+	: extractSingleStreamResponse(t1Data.keyPresses, t1GoOnset, t1Config.acceptFirstResponse);
+    const t2Result = catchType === 't1-only'
+	? scoreAbsentTask(t2Data.keyPresses)
+	: extractSingleStreamResponse(t2Data.keyPresses, t2GoOnset, t2Config.acceptFirstResponse);
 
     let responseOrder = null;
-    if (t1Result.rt_raw !== null && t2Result.rt_raw !== null) {
+    if (catchType === 'both' && t1Result.rt_raw !== null && t2Result.rt_raw !== null) {
 	responseOrder = (t2Result.rt_raw - t1Result.rt_raw > 0) ? 'T1-first' : 'T2-first';
     }
 
@@ -253,6 +673,154 @@ function extractDualCanvasResponse(t1Data, t2Data, t1GoOnset, t2GoOnset, t1Confi
     };
 }
 
+/**
+ * Extract RTs and accuracies for all four tasks of a dual-PRP trial.
+ * Each canvas is scored like a single-canvas dual-task trial (extractResponse):
+ * by key set when its two tasks use disjoint keys, by temporal order otherwise.
+ *
+ * @returns {object} left_rt1, left_accuracy1, left_rt2, left_accuracy2,
+ *   left_responseOrder and the same for right_, plus raw RTs and keypresses
+ */
+function extractDualPRPResponse(leftData, rightData, trial, leftConfig, rightConfig) {
+    const result = {};
+    const raw = {};
+    const canvases = { left: [leftData, leftConfig], right: [rightData, rightConfig] };
+    for (const [side, [data, config]] of Object.entries(canvases)) {
+	const canvasTrial = {
+	    seParams: trial[`${side}SeParams`],
+	    meta: { paradigm: 'dual-task', t1_task: trial.meta[`${side}_t1_task`], t2_task: trial.meta[`${side}_t2_task`] },
+	};
+	const r = extractResponse(data, canvasTrial, config);
+	result[`${side}_rt1`] = r.rt1;
+	result[`${side}_rt1_raw`] = r.rt1_raw;
+	result[`${side}_accuracy1`] = r.accuracy1;
+	result[`${side}_rt2`] = r.rt2;
+	result[`${side}_rt2_raw`] = r.rt2_raw;
+	result[`${side}_accuracy2`] = r.accuracy2;
+	result[`${side}_responseOrder`] = r.responseOrder;
+	raw[side] = data.keyPresses || [];
+    }
+    return {
+	...result,
+	rt1: null, rt1_raw: null, accuracy1: null,
+	rt2: null, rt2_raw: null, accuracy2: null,
+	responseOrder: null,
+	rawKeyPresses: JSON.stringify(raw),
+    };
+}
+
+/**
+ * One-up/one-down SSD tracking staircase: a successful stop makes the next
+ * stop trial harder (SSD + step), a failed stop easier (SSD - step), which
+ * converges on p(respond | signal) = 0.5.
+ *
+ * @param {{ ssd: number, step: number, minSsd: number, maxSsd: number }} config
+ *   - as returned by resolveStopSignal
+ */
+function createSsdStaircase(config) {
+    let ssd = config.ssd;
+
+    function getSsd() {
+	return ssd;
+    }
+
+    function update(stopped) {
+	ssd = Math.min(config.maxSsd, Math.max(config.minSsd, ssd + (stopped ? config.step : -config.step)));
+    }
+
+    return { getSsd, update };
+}
+
+/**
+ * Stop-signal reaction time by the integration method with go omissions
+ * replaced by the slowest go RT: the go RT at the p(respond | signal)
+ * quantile minus the mean SSD.
+ *
+ * @param {object[]} trialData - exported trial rows (stopTrial, ssd, accuracy1, rt1)
+ * @returns {number|null} null without stop trials or go responses
+ */
+function computeSSRT(trialData) {
+    const stopTrials = trialData.filter(t => t.stopTrial === true);
+    const goTrials = trialData.filter(t => t.stopTrial === false);
+    const goRts = goTrials.filter(t => t.rt1 !== null).map(t => t.rt1).sort((a, b) => a - b);
+    if (stopTrials.length === 0 || goRts.length === 0) return null;
+
+    const slowest = goRts[goRts.length - 1];
+    const omissions = goTrials.length - goRts.length;
+    const allGoRts = goRts.concat(Array(omissions).fill(slowest));
+
+    const pRespond = stopTrials.filter(t => t.accuracy1 === 'failed-stop').length / stopTrials.length;
+    const nth = Math.min(allGoRts.length, Math.max(1, Math.round(pRespond * allGoRts.length)));
+    const meanSsd = stopTrials.reduce((sum, t) => sum + t.ssd, 0) / stopTrials.length;
+    return allGoRts[nth - 1] - meanSsd;
+}
+
+/**
+ * Weighted up-down staircase on SOA (blockConfig.soa with type 'adaptive'),
+ * updated from each scored trial. Config fields:
+ *   value          - starting SOA in ms
+ *   step           - step in ms (50)
+ *   min, max       - SOA bounds (0, 1000)
+ *   measure        - 'accuracy2': converge on a T2 accuracy of target
+ *                    (correct T2 shortens the SOA by step, an error
+ *                    lengthens it by step * target / (1 - target));
+ *                    'grouping': converge on a proportion target of grouped
+ *                    responses, i.e. both answered within groupingWindow ms
+ *                    of each other (grouped lengthens the SOA by step, not
+ *                    grouped shortens it by step * target / (1 - target))
+ *   target         - 0.75 for accuracy2, 0.5 for grouping
+ *   groupingWindow - ms (100)
+ *   reversals      - number of final reversals averaged for the estimate (6)
+ *
+ * @returns {{ getSoa: function(): number, update: function(object): void,
+ *             getEstimate: function(): number, history: object[] }}
+ *   update takes the trial's data row; history holds one
+ *   { soa, success } entry per update.
+ */
+function createSoaStaircase(config) {
+    const measure = config.measure ?? 'accuracy2';
+    const target = config.target ?? (measure === 'grouping' ? 0.5 : 0.75);
+    const step = config.step ?? 50;
+    const min = config.min ?? 0;
+    const max = config.max ?? 1000;
+    const groupingWindow = config.groupingWindow ?? 100;
+    const numReversals = config.reversals ?? 6;
+    const oppositeStep = step * target / (1 - target);
+    const history = [];
+    const reversalSoas = [];
+    let soa = config.value;
+    let lastDirection = 0;
+
+    function isSuccess(trialData) {
+	if (measure === 'grouping') {
+	    return trialData.rt1_raw !== null && trialData.rt2_raw !== null
+		&& Math.abs(trialData.rt2_raw - trialData.rt1_raw) <= groupingWindow;
+	}
+	return trialData.accuracy2 === 'correct';
+    }
+
+    function update(trialData) {
+	const success = isSuccess(trialData);
+	history.push({ soa, success });
+	// accuracy2: success -> shorter SOA; grouping: success -> longer SOA
+	const change = measure === 'grouping'
+	    ? (success ? step : -oppositeStep)
+	    : (success ? -step : oppositeStep);
+	const direction = Math.sign(change);
+	if (lastDirection !== 0 && direction !== lastDirection) reversalSoas.push(soa);
+	lastDirection = direction;
+	soa = Math.min(max, Math.max(min, soa + change));
+    }
+
+    function getEstimate() {
+	if (reversalSoas.length === 0) return soa;
+	const last = reversalSoas.slice(-numReversals);
+	return last.reduce((sum, v) => sum + v, 0) / last.length;
+    }
+
+    return { getSoa: () => soa, update, getEstimate, history };
+}
+
 function argMax(arr) {
     let currMax = Number.NEGATIVE_INFINITY;
     let maxIndex = 0;
@@ -265,21 +833,38 @@ function argMax(arr) {
     return maxIndex
 }
 
-function createQuest(priorMean, priorSD) {
+/**
+ * QUEST staircase over a log10 intensity axis (coherence). Options, all
+ * optional (runQuest passes its config object through):
+ *   gamma, delta, beta - guess rate (0.5), lapse rate (0.02) and slope (3.5)
+ *                        of the Weibull psychometric function
+ *   pThreshold         - performance level the threshold is defined at; sets
+ *                        epsilon so that psi(threshold) = pThreshold
+ *   epsilon            - explicit threshold offset, overriding pThreshold
+ *                        (0.03315 when neither is given)
+ *   axisMin, axisMax   - intensity range of the axis (0.01, 1)
+ *   axisValues         - number of axis points (100)
+ *   stopSd             - isDone() once the posterior SD (log10 units) is below this
+ *   maxTrials          - isDone() after this many updates
+ */
+function createQuest(priorMean, priorSD, options = {}) {
     // Private state — just local variables
-    const numValues = 100;
-    const logMin = Math.log10(0.01);
-    const step = Math.abs(logMin / numValues);
+    const numValues = options.axisValues ?? 100;
+    const logMin = Math.log10(options.axisMin ?? 0.01);
+    const step = (Math.log10(options.axisMax ?? 1) - logMin) / numValues;
     const intensityAxis = createAxis();
     const logMean = Math.log10(priorMean);
     const logUpper = Math.log10(priorMean + priorSD);
     const logLower = Math.log10(priorMean - priorSD);
     const logSD = (logUpper - logLower) / 2;
 
-    const gamma = 0.5;
-    const delta = 0.02;
-    const beta = 3.5;
-    const epsilon = 0.03315;
+    const gamma = options.gamma ?? 0.5;
+    const delta = options.delta ?? 0.02;
+    const beta = options.beta ?? 3.5;
+    const epsilon = options.epsilon ?? (options.pThreshold !== undefined
+	? Math.log10(-Math.log(1 - (options.pThreshold - gamma) / (1 - gamma - delta))) / beta
+	: 0.03315);
+    let numUpdates = 0;
     let qArray = computePrior(intensityAxis, logMean, logSD);
     const originalPrior = [ ...qArray ];
 
@@ -363,6 +948,7 @@ function createQuest(priorMean, priorSD) {
 		qArray[i] += arrayToUse[shiftIndex];
 	    }
 	}
+	numUpdates++;
     }
 
     function getFinalEstimate() {
@@ -370,10 +956,382 @@ function createQuest(priorMean, priorSD) {
 	return 10**intensityAxis[argMax(likelihoodOnly)];
     }
 
+    // Posterior summary: mean and mode as intensities, SD in log10 units
+    function getPosterior() {
+	const peak = Math.max(...qArray);
+	const weights = qArray.map(val => Math.exp(val - peak));
+	const total = weights.reduce((sum, w) => sum + w, 0);
+	const logMeanPost = weights.reduce((sum, w, i) => sum + w * intensityAxis[i], 0) / total;
+	const variance = weights.reduce((sum, w, i) => sum + w * (intensityAxis[i] - logMeanPost) ** 2, 0) / total;
+	return {
+	    mean: 10**logMeanPost,
+	    mode: 10**intensityAxis[argMax(qArray)],
+	    sd: Math.sqrt(variance),
+	};
+    }
+
+    function isDone() {
+	if (options.maxTrials !== undefined && numUpdates >= options.maxTrials) return true;
+	return options.stopSd !== undefined && getPosterior().sd < options.stopSd;
+    }
+
     // Return an object with methods that close over the state
     return {
 	getNextIntensity,
 	update,
-	getFinalEstimate
+	getFinalEstimate,
+	getPosterior,
+	isDone
+    };
+}
+
+/**
+ * QUEST+ (Watson, 2017): joint Bayesian estimation of threshold, slope and
+ * optionally lapse rate over a parameter grid, placing each trial at the
+ * intensity that minimizes the expected posterior entropy. Same interface
+ * as createQuest; runQuest picks it with method 'quest-plus'.
+ *
+ * The psychometric function is createQuest's Weibull on log10 intensity,
+ * with the threshold defined at pThreshold for every slope. Options, all
+ * optional:
+ *   gamma              - guess rate (0.5)
+ *   pThreshold         - performance level at threshold (0.82)
+ *   slopes             - slope (beta) grid ([1, 1.5, 2, 2.5, 3, 3.5, 4.5, 6, 8])
+ *   lapses             - lapse (delta) grid; a single value fixes it ([0.02])
+ *   axisMin, axisMax   - intensity range of the stimulus and threshold grids (0.01, 1)
+ *   axisValues         - points on each of those grids (40)
+ *   stopSd, maxTrials  - stopping rules as in createQuest, on the threshold
+ *
+ * The prior is createQuest's log-normal on threshold, flat over slope and lapse.
+ */
+function createQuestPlus(priorMean, priorSD, options = {}) {
+    const gamma = options.gamma ?? 0.5;
+    const pThreshold = options.pThreshold ?? 0.82;
+    const slopes = options.slopes ?? [1, 1.5, 2, 2.5, 3, 3.5, 4.5, 6, 8];
+    const lapses = options.lapses ?? [0.02];
+    const numValues = options.axisValues ?? 40;
+    const logMin = Math.log10(options.axisMin ?? 0.01);
+    const step = (Math.log10(options.axisMax ?? 1) - logMin) / (numValues - 1);
+    const axis = Array.from({ length: numValues }, (_, i) => logMin + i * step);
+    const logMean = Math.log10(priorMean);
+    const logSD = (Math.log10(priorMean + priorSD) - Math.log10(priorMean - priorSD)) / 2;
+
+    // One entry per (threshold, slope, lapse) grid point
+    const grid = [];
+    for (const threshold of axis) {
+	for (const slope of slopes) {
+	    for (const lapse of lapses) {
+		// Offset that puts pThreshold at the threshold for this slope and lapse
+		const epsilon = Math.log10(-Math.log(1 - (pThreshold - gamma) / (1 - gamma - lapse))) / slope;
+		grid.push({ threshold, slope, lapse, epsilon });
+	    }
+	}
+    }
+    let posterior = normalize(grid.map(g => Math.exp(-0.5 * ((g.threshold - logMean) / logSD) ** 2)));
+    // pCorrect[s][k]: probability correct at stimulus s under grid point k
+    const pCorrect = axis.map(x => grid.map(g => psi(x, g)));
+    let numUpdates = 0;
+
+    function psi(x, g) {
+	return gamma + (1 - gamma - g.lapse) * (1 - Math.exp(-(10**(g.slope * (x - g.threshold + g.epsilon)))));
+    }
+
+    function normalize(weights) {
+	const total = weights.reduce((sum, w) => sum + w, 0);
+	return weights.map(w => w / total);
+    }
+
+    function getNextIntensity() {
+	// Runs over every stimulus x grid point; keep the lookup out of the loop
+	const log = Math.log;
+	let best = 0;
+	let bestEntropy = Infinity;
+	for (let s = 0; s < axis.length; s++) {
+	    // With w = posterior * likelihood summing to P(outcome), that outcome's
+	    // posterior entropy times P(outcome) is P log P - sum(w log w)
+	    const likelihood = pCorrect[s];
+	    let pc = 0;
+	    let wLogWCorrect = 0;
+	    let wLogWIncorrect = 0;
+	    for (let k = 0; k < grid.length; k++) {
+		const wc = posterior[k] * likelihood[k];
+		const wf = posterior[k] - wc;
+		pc += wc;
+		if (wc > 0) wLogWCorrect += wc * log(wc);
+		if (wf > 0) wLogWIncorrect += wf * log(wf);
+	    }
+	    const pf = 1 - pc;
+	    const expected = (pc > 0 ? pc * log(pc) : 0) - wLogWCorrect
+		+ (pf > 0 ? pf * log(pf) : 0) - wLogWIncorrect;
+	    if (expected < bestEntropy) {
+		bestEntropy = expected;
+		best = s;
+	    }
+	}
+	return 10**axis[best];
+    }
+
+    function update(testedIntensity, wasCorrect) {
+	const x = Math.log10(testedIntensity);
+	posterior = normalize(posterior.map((p, k) => {
+	    const pc = psi(x, grid[k]);
+	    return p * (wasCorrect ? pc : 1 - pc);
+	}));
+	numUpdates++;
+    }
+
+    // Marginal posterior of one grid field, as { value: probability }
+    function marginal(field) {
+	const m = new Map();
+	grid.forEach((g, k) => m.set(g[field], (m.get(g[field]) ?? 0) + posterior[k]));
+	return m;
+    }
+
+    function marginalMean(field) {
+	let mean = 0;
+	for (const [value, p] of marginal(field)) mean += value * p;
+	return mean;
+    }
+
+    // Threshold posterior as in createQuest (mean and mode as intensities,
+    // SD in log10 units), plus the posterior mean slope and lapse
+    function getPosterior() {
+	const thresholds = marginal('threshold');
+	const logMeanPost = marginalMean('threshold');
+	let variance = 0;
+	let mode = null;
+	for (const [value, p] of thresholds) {
+	    variance += p * (value - logMeanPost) ** 2;
+	    if (mode === null || p >= thresholds.get(mode)) mode = value;
+	}
+	return {
+	    mean: 10**logMeanPost,
+	    mode: 10**mode,
+	    sd: Math.sqrt(variance),
+	    slope: marginalMean('slope'),
+	    lapse: marginalMean('lapse'),
+	};
+    }
+
+    // Posterior mean threshold
+    function getFinalEstimate() {
+	return getPosterior().mean;
+    }
+
+    function isDone() {
+	if (options.maxTrials !== undefined && numUpdates >= options.maxTrials) return true;
+	return options.stopSd !== undefined && getPosterior().sd < options.stopSd;
+    }
+
+    return {
+	getNextIntensity,
+	update,
+	getFinalEstimate,
+	getPosterior,
+	isDone
+    };
+}
+
+/**
+ * Classic transformed staircases on coherence, with createQuest's
+ * getNextIntensity/update interface. runQuest selects one by method:
+ *   '1up-2down' - down after 2 consecutive correct, up after an error (70.7%)
+ *   '1up-3down' - down after 3 consecutive correct, up after an error (79.4%)
+ *   'weighted'  - weighted up-down (Kaernbach, 1991): down by step after a
+ *                 correct response, up by step * target / (1 - target)
+ *                 after an error
+ *   'pest'      - PEST (Taylor & Creelman, 1967): stays at a level until the
+ *                 correct count leaves target * n +- waldFactor, halves the
+ *                 step at each reversal and doubles it from the third step
+ *                 in one direction on
+ *
+ * Options, all optional: step (0.05), target (0.75, for 'weighted' and
+ * 'pest'), min and max intensity (0.01, and maxIntensity or 1 - the level
+ * must not climb above the coherence the session actually shows),
+ * waldFactor (1), minStep and maxStep for PEST (step / 8, step * 4),
+ * reversals averaged by getFinalEstimate (the last 6), and the isDone()
+ * stopping rules maxReversals and maxTrials.
+ *
+ * The staircase tracks its own level, so update's intensity argument is
+ * only there for interface compatibility. reversals lists the level of
+ * every reversal in order.
+ *
+ * @throws {Error} on an unknown method
+ */
+function createTransformedStaircase(method, startIntensity, options = {}) {
+    const nDown = { '1up-2down': 2, '1up-3down': 3 }[method];
+    if (nDown === undefined && method !== 'weighted' && method !== 'pest') {
+	throw new Error(`Unknown runQuest method '${method}'`);
+    }
+    const step = options.step ?? 0.05;
+    const target = options.target ?? 0.75;
+    const min = options.min ?? 0.01;
+    const max = options.max ?? options.maxIntensity ?? 1;
+    const waldFactor = options.waldFactor ?? 1;
+    const minStep = options.minStep ?? step / 8;
+    const maxStep = options.maxStep ?? step * 4;
+    const numReversals = options.reversals ?? 6;
+    const reversals = [];
+    let intensity = startIntensity;
+    let lastDirection = 0;
+    let correctRun = 0;
+    let numUpdates = 0;
+    // PEST state
+    let pestStep = step;
+    let sameDirection = 0;
+    let trialsAtLevel = 0;
+    let correctAtLevel = 0;
+
+    function move(direction, size) {
+	if (lastDirection !== 0 && direction !== lastDirection) reversals.push(intensity);
+	lastDirection = direction;
+	intensity = Math.min(max, Math.max(min, intensity + direction * size));
+    }
+
+    function movePest(direction) {
+	if (lastDirection !== 0 && direction !== lastDirection) {
+	    pestStep = Math.max(minStep, pestStep / 2);
+	    sameDirection = 1;
+	} else {
+	    sameDirection++;
+	    if (sameDirection >= 3) pestStep = Math.min(maxStep, pestStep * 2);
+	}
+	move(direction, pestStep);
+	trialsAtLevel = 0;
+	correctAtLevel = 0;
+    }
+
+    function update(testedIntensity, wasCorrect) {
+	numUpdates++;
+	if (method === 'weighted') {
+	    if (wasCorrect) move(-1, step);
+	    else move(1, step * target / (1 - target));
+	} else if (method === 'pest') {
+	    trialsAtLevel++;
+	    if (wasCorrect) correctAtLevel++;
+	    const expected = target * trialsAtLevel;
+	    if (correctAtLevel >= expected + waldFactor) movePest(-1);
+	    else if (correctAtLevel <= expected - waldFactor) movePest(1);
+	} else if (wasCorrect) {
+	    correctRun++;
+	    if (correctRun >= nDown) {
+		correctRun = 0;
+		move(-1, step);
+	    }
+	} else {
+	    correctRun = 0;
+	    move(1, step);
+	}
+    }
+
+    // Mean level of the last reversals, or the current level before any
+    function getFinalEstimate() {
+	if (reversals.length === 0) return intensity;
+	const last = reversals.slice(-numReversals);
+	return last.reduce((sum, v) => sum + v, 0) / last.length;
+    }
+
+    function isDone() {
+	if (options.maxTrials !== undefined && numUpdates >= options.maxTrials) return true;
+	return options.maxReversals !== undefined && reversals.length >= options.maxReversals;
+    }
+
+    return {
+	getNextIntensity: () => intensity,
+	update,
+	getFinalEstimate,
+	isDone,
+	reversals
+    };
+}
+
+/**
+ * Creates the staircase a runQuest config asks for: method 'quest'
+ * (default, createQuest), 'quest-plus' (createQuestPlus) or a classic
+ * staircase starting at priorMean (createTransformedStaircase). The whole
+ * config is passed on as the staircase's options.
+ *
+ * @param {object} config - runQuest object; priorMean 0.5 and priorSD 0.2 by default
+ */
+function createAdaptiveStaircase(config) {
+    const method = config.method ?? 'quest';
+    const priorMean = config.priorMean ?? 0.5;
+    const priorSD = config.priorSD ?? 0.2;
+    if (method === 'quest') return createQuest(priorMean, priorSD, config);
+    if (method === 'quest-plus') return createQuestPlus(priorMean, priorSD, config);
+    return createTransformedStaircase(method, priorMean, config);
+}
+
+/**
+ * The task slot a block's runQuest staircase adapts (runQuest.slot) and
+ * what drives it. 't1' sets T1's coherence and scores accuracy1, 't2' sets
+ * T2's and scores accuracy2. prp-baseline blocks only have the T2 slot (the
+ * task after the asterisk) and default to it; every other paradigm
+ * defaults to 't1', and only dual-task and dual-canvas blocks have a T2.
+ *
+ * @param {object} blockConfig
+ * @param {string} [slot] - runQuest.slot
+ * @returns {{ slot: string, channel: string, accuracy: string }} channel is
+ *   the SE channel suffix of the slot's coherence on its params object:
+ *   '_2' for T2 of a single-canvas dual-task block, '_1' everywhere else
+ *   (T1, and T2 on its own canvas)
+ * @throws {Error} if the paradigm has no such slot
+ */
+function resolveQuestSlot(blockConfig, slot) {
+    const paradigm = blockConfig.paradigm;
+    const resolved = slot ?? (paradigm === 'prp-baseline' ? 't2' : 't1');
+    if (resolved !== 't1' && resolved !== 't2') {
+	throw new Error(`Block '${blockConfig.blockId}': unknown runQuest slot '${resolved}'`);
+    }
+    if (resolved === 't1' && paradigm === 'prp-baseline') {
+	throw new Error(`Block '${blockConfig.blockId}': prp-baseline has no T1 response, use runQuest slot 't2'`);
+    }
+    if (resolved === 't2' && !['dual-task', 'dual-canvas', 'prp-baseline'].includes(paradigm)) {
+	throw new Error(`Block '${blockConfig.blockId}': runQuest slot 't2' needs a T2 task, got paradigm '${paradigm}'`);
+    }
+    return {
+	slot: resolved,
+	channel: resolved === 't2' && paradigm === 'dual-task' ? '_2' : '_1',
+	accuracy: resolved === 't1' ? 'accuracy1' : 'accuracy2',
+    };
+}
+
+/**
+ * Identity of the staircase a trial belongs to under runQuest.interleave:
+ * 'block' without interleaving (one staircase for the block), the adapted
+ * slot's task with 'task', and task plus canvas side (e.g. 'mov-left') with
+ * 'task-side'. The side is the trial's own side on sided trials, else the
+ * adapted slot's canvas on dual-canvas trials; trials without a side fall
+ * back to the task.
+ *
+ * @param {object} meta - trial meta (or data row)
+ * @param {string} [interleave]
+ * @param {string} [slot='t1'] - adapted slot, see resolveQuestSlot
+ */
+function staircaseKey(meta, interleave, slot = 't1') {
+    if (!interleave) return 'block';
+    const task = meta[`${slot}_task`];
+    let side = meta.side ?? meta.t1Side ?? null;
+    if (slot === 't2' && meta.side === undefined && meta.t1Side) {
+	side = meta.t1Side === 'left' ? 'right' : 'left';
+    }
+    return interleave === 'task-side' && side !== null ? `${task}-${side}` : task;
+}
+
+/**
+ * Export columns summarizing a finished staircase. The estimate is the
+ * posterior mode for QUEST and QUEST+ (for createQuest also its next
+ * intensity); classic staircases have no posterior and use
+ * getFinalEstimate (their last reversals).
+ */
+function summarizeStaircase(staircase) {
+    const posterior = staircase.getPosterior?.() ?? {};
+    return {
+	questEstimate: posterior.mode ?? staircase.getFinalEstimate(),
+	questPosteriorMean: posterior.mean ?? null,
+	questPosteriorMode: posterior.mode ?? null,
+	questPosteriorSd: posterior.sd ?? null,
+	questSlope: posterior.slope ?? null,
+	questLapse: posterior.lapse ?? null,
     };
 }
@@ -2,6 +2,8 @@
 //
 // Varies the switch rate from 0% (pure single-task) to 100% (every trial switches)
 // to demonstrate the transition from single-task to task-switching paradigms.
+// Blocks use the 'Exact' sequence type, so each block delivers exactly its
+// nominal switch rate (a Markov 'Random' sequence drifts by ±10% over 80 trials).
 //
 // Three designs:
 //   1. Univalent — only the relevant stimulus dimension visible per trial.
@@ -41,7 +43,7 @@ const SWITCH_FREQ_DEFAULTS = {
     responseWindow: 2500,
     rso: 'disjoint',
     paradigm: 'single-task',
-    sequenceType: 'Random',
+    sequenceType: 'Exact',
     task2: null,
     iti: { type: 'uniform', value: 500, params: [400, 600] },
     soa: { type: 'fixed', value: 0, params: [] },
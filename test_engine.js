@@ -71,6 +71,72 @@ assert(aabb[0] === 'mov' && aabb[1] === 'mov', 'AABB first pair');
 assert(aabb[2] === 'or' && aabb[3] === 'or', 'AABB second pair');
 assert(aabb[4] === 'mov' && aabb[5] === 'mov', 'AABB third pair');
 
+// ============================================================
+section('generateTaskSequence — Exact switch count');
+
+// 80 trials at 25% → round(0.25 * 79) = 20 switches, every time
+for (let r = 0; r < 20; r++) {
+    const exact = generateTaskSequence(80, 'Exact', 25, 'mov');
+    const exactSwitches = classifyTransitions(exact).filter(t => t === 'Switch').length;
+    assert(exact.length === 80, 'Exact: correct length');
+    assert(exact[0] === 'mov', 'Exact: honours startTask');
+    assert(exactSwitches === 20, `Exact: exactly 20 switches, got ${exactSwitches}`);
+}
+
+const exactPure = generateTaskSequence(30, 'Exact', 0, 'or');
+assert(exactPure.every(t => t === 'or'), 'Exact 0%: all same task');
+
+const exactAll = generateTaskSequence(30, 'Exact', 100, 'mov');
+for (let i = 1; i < 30; i++) {
+    assert(exactAll[i] !== exactAll[i - 1], `Exact 100%: switches at position ${i}`);
+}
+
+// ============================================================
+section('generateTaskSequence — Exact with maxRunLength');
+
+for (let r = 0; r < 20; r++) {
+    const capped = generateTaskSequence(80, 'Exact', 25, null, Math.random, { maxRunLength: 5 });
+    let run = 1;
+    let longest = 1;
+    for (let i = 1; i < capped.length; i++) {
+        run = capped[i] === capped[i - 1] ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    }
+    assert(longest <= 5, `Exact maxRunLength 5: longest run ${longest}`);
+    assert(classifyTransitions(capped).filter(t => t === 'Switch').length === 20,
+        'Exact maxRunLength 5: still exactly 20 switches');
+}
+
+let threwUnsatisfiable = false;
+try {
+    generateTaskSequence(20, 'Exact', 10, 'mov', Math.random, { maxRunLength: 3 });
+} catch (e) {
+    threwUnsatisfiable = e.message.includes('maxRunLength');
+}
+assert(threwUnsatisfiable, 'Exact: unsatisfiable maxRunLength throws a descriptive error');
+
+// ============================================================
+section('generateExactSwitchTransitions — switch positions uniformly distributed');
+
+// 5 trials, 2 switches → C(4, 2) = 6 equally likely placements
+const placementCounts = {};
+const placementRng = createRng(11);
+for (let i = 0; i < 6000; i++) {
+    const key = generateExactSwitchTransitions(5, 50, null, placementRng).join(',');
+    placementCounts[key] = (placementCounts[key] || 0) + 1;
+}
+assert(Object.keys(placementCounts).length === 6, `6 distinct placements, got ${Object.keys(placementCounts).length}`);
+for (const [key, count] of Object.entries(placementCounts)) {
+    assert(count > 850 && count < 1150, `placement ${key} near 1000, got ${count}`);
+}
+
+// ============================================================
+section('computeSwitchRate');
+
+assert(computeSwitchRate(['First', 'Switch', 'Repeat', 'Switch', 'Repeat']) === 50, '2 of 4 → 50');
+assert(computeSwitchRate(['First']) === null, 'single trial → null');
+assert(computeSwitchRate(['First', 'Repeat', 'Repeat']) === 0, 'all repeats → 0');
+
 // ============================================================
 section('classifyTransitions');
 
@@ -1700,12 +1766,12 @@ try {
         ...gsvBaseConfig,
         blockId: 'test_gsv_bad_rate',
         sequenceType: 'Factorial',
-        switchRate: 75,
+        switchRate: 150,
     }, 10);
 } catch (e) {
     threwOnBadRate = true;
 }
-assert(threwOnBadRate, 'Factorial throws on switchRate 75');
+assert(threwOnBadRate, 'Factorial throws on switchRate 150');
 
 // switchRate 0 should NOT throw
 let threwOnZeroRate = false;
@@ -2075,6 +2141,1238 @@ for (const t of factDCTrials) {
     }
 }
 
+// ============================================================
+section('generateBlockTrials — Exact: realized switch rate in meta');
+
+const exactBlock = { ...mixedConfig, blockId: 'test_exact', sequenceType: 'Exact', switchRate: 25 };
+const exactTrials = generateBlockTrials(exactBlock, 81);
+const exactRealized = 100 * exactTrials.filter(t => t.meta.transitionType === 'Switch').length / 80;
+assert(exactTrials.every(t => t.meta.switchRate === 25), 'Exact block: target switchRate in meta');
+assert(exactTrials.every(t => t.meta.realizedSwitchRate === 25), `Exact block: realized 25%, got ${exactTrials[0].meta.realizedSwitchRate}`);
+assert(exactRealized === 25, 'Exact block: transitionType agrees with realizedSwitchRate');
+
+const randomTrials = generateBlockTrials(mixedConfig, 40);
+const randomRealized = 100 * randomTrials.filter(t => t.meta.transitionType === 'Switch').length / 39;
+assert(Math.abs(randomTrials[0].meta.realizedSwitchRate - randomRealized) < 1e-9,
+    'Random block: realizedSwitchRate matches the generated transitions');
+
+const exactAltTrials = generateSidedTrials({ ...exactBlock, paradigm: 'alternating' }, 41);
+assert(exactAltTrials.every(t => t.meta.realizedSwitchRate === 25), 'Exact alternating: realized 25%');
+
+// ============================================================
+// Sequence constraints
+// ============================================================
+
+function longestRun(values) {
+    let run = 1;
+    let longest = values.length > 0 ? 1 : 0;
+    for (let i = 1; i < values.length; i++) {
+        run = values[i] === values[i - 1] ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    }
+    return longest;
+}
+
+function countBy(values) {
+    const counts = {};
+    for (const v of values) counts[v] = (counts[v] || 0) + 1;
+    return counts;
+}
+
+const constrainedConfig = {
+    ...gsvBaseConfig,
+    blockId: 'test_constrained',
+    congruency: { conditions: ['congruent', 'incongruent'], proportions: [0.5, 0.5] },
+    soa: { type: 'choice', value: 100, params: [100, 200, 400, 800] },
+    iti: { type: 'uniform', value: 500, params: [400, 600] },
+};
+
+section('applySequenceConstraints — maxRunLength on task, congruency and soa');
+
+for (let r = 0; r < 10; r++) {
+    const v = generateSequenceVectors({
+        ...constrainedConfig,
+        seed: r,
+        constraints: { maxRunLength: { task: 3, congruency: 3, soa: 2 } },
+    }, 81, createRng(r));
+    assert(longestRun(v.task1) <= 3, `task runs <= 3, got ${longestRun(v.task1)}`);
+    assert(longestRun(v.congruency) <= 3, `congruency runs <= 3, got ${longestRun(v.congruency)}`);
+    assert(longestRun(v.soa) <= 2, `soa runs <= 2, got ${longestRun(v.soa)}`);
+    assert(v.transition[0] === 'First', 'first transition still First');
+    for (let i = 1; i < v.task1.length; i++) {
+        const expected = v.task1[i] === v.task1[i - 1] ? 'Repeat' : 'Switch';
+        assert(v.transition[i] === expected, `task/transition consistent at trial ${i + 1}`);
+    }
+}
+
+const longConstrained = generateSequenceVectors({
+    ...constrainedConfig,
+    constraints: { maxRunLength: { task: 10 } },
+}, 700, createRng(11));
+assert(longConstrained.task1.length === 700 && longestRun(longConstrained.task1) <= 10,
+    `700-trial block satisfies maxRunLength.task 10, got ${longestRun(longConstrained.task1)}`);
+
+// ============================================================
+section('applySequenceConstraints — marginal counts preserved');
+
+const unconstrainedRef = generateSequenceVectors({ ...constrainedConfig, sequenceType: 'Exact', switchRate: 25 }, 81, createRng(5));
+const constrainedRef = generateSequenceVectors({
+    ...constrainedConfig, sequenceType: 'Exact', switchRate: 25,
+    constraints: { maxRunLength: { task: 6, congruency: 3 } },
+}, 81, createRng(5));
+assert(constrainedRef.transition.filter(t => t === 'Switch').length === 20, 'Exact switch count preserved');
+assert(constrainedRef.realizedSwitchRate === 25, 'realizedSwitchRate still 25');
+assert(JSON.stringify(countBy(constrainedRef.congruency)) === JSON.stringify(countBy(unconstrainedRef.congruency)),
+    'congruency proportions preserved');
+assert(longestRun(constrainedRef.task1) <= 6, 'Exact + maxRunLength.task honoured');
+
+const factorialConstrained = generateSequenceVectors({
+    ...constrainedConfig,
+    sequenceType: 'Factorial',
+    soa: { type: 'choice', value: 100, params: [100, 600] },
+    constraints: { maxRunLength: { task: 3, soa: 3 } },
+}, 80, createRng(9));
+const factCells = countBy(factorialConstrained.transition.map((t, i) =>
+    `${t}_${factorialConstrained.soa[i]}_${factorialConstrained.congruency[i]}`).slice(1));
+// 8 cells x 10 reps; trial 1 is relabelled 'First', so one cell is short by one
+assert(Object.values(factCells).every(c => c === 10 || c === 9), `Factorial cells stay balanced: ${JSON.stringify(factCells)}`);
+assert(longestRun(factorialConstrained.task1) <= 3, 'Factorial + maxRunLength.task honoured');
+
+// ============================================================
+section('applySequenceConstraints — balanceTransitions');
+
+for (let r = 0; r < 5; r++) {
+    const v = generateSequenceVectors({
+        ...constrainedConfig,
+        sequenceType: 'Factorial',
+        soa: { type: 'fixed', value: 100 },
+        constraints: { balanceTransitions: true, maxRunLength: { congruency: 4 } },
+    }, 81, createRng(100 + r));
+    const cells = countBy(v.transition.slice(1).map((t, i) => `${t}|${v.congruency[i]}|${v.congruency[i + 1]}`));
+    assert(Object.keys(cells).length === 8, `8 transition x congruency-sequence cells, got ${Object.keys(cells).length}`);
+    // Within each (transition, congruency) group, previous congruency is split evenly
+    for (const t of ['Repeat', 'Switch']) {
+        for (const curr of ['congruent', 'incongruent']) {
+            const fromCong = cells[`${t}|congruent|${curr}`] || 0;
+            const fromIncong = cells[`${t}|incongruent|${curr}`] || 0;
+            assert(Math.abs(fromCong - fromIncong) <= 1,
+                `${t}/${curr}: previous congruency balanced (${fromCong} vs ${fromIncong})`);
+        }
+    }
+}
+
+const longBalanced = generateSequenceVectors({
+    ...constrainedConfig,
+    sequenceType: 'Exact',
+    switchRate: 50,
+    soa: { type: 'fixed', value: 100 },
+    constraints: { maxRunLength: { task: 3, congruency: 3 }, balanceTransitions: true },
+}, 600, createRng(120));
+assert(longestRun(longBalanced.task1) <= 3 && longestRun(longBalanced.congruency) <= 3,
+    '600-trial block: run limits and balanceTransitions met together');
+const longCells = countBy(longBalanced.transition.slice(1).map((t, i) => `${t}|${longBalanced.congruency[i]}|${longBalanced.congruency[i + 1]}`));
+for (const t of ['Repeat', 'Switch']) {
+    for (const curr of ['congruent', 'incongruent']) {
+        assert(Math.abs((longCells[`${t}|congruent|${curr}`] || 0) - (longCells[`${t}|incongruent|${curr}`] || 0)) <= 1,
+            `600-trial block: ${t}/${curr} previous congruency balanced`);
+    }
+}
+
+// ============================================================
+section('applySequenceConstraints — targetDir runs and meta');
+
+const dirConstrained = {
+    ...constrainedConfig,
+    coherence: { ch1_task: 0.8, ch1_distractor: 0.8, ch2_task: 0, ch2_distractor: 0 },
+    keyMaps: { mov: { 180: 'a', 0: 'd' }, or: { 180: 'j', 0: 'l' } },
+    constraints: { maxRunLength: { targetDir: 2 } },
+};
+const dirTrials = generateBlockTrials({ ...dirConstrained, seed: 1 }, 80);
+assert(longestRun(dirTrials.map(t => t.meta.t1_target_dir)) <= 2, 'single-task: target direction runs <= 2');
+for (const t of dirTrials) {
+    const expectedDistractor = t.meta.t1_distractor_dir;
+    assert(expectedDistractor === t.meta.t1_target_dir || expectedDistractor === (t.meta.t1_target_dir + 180) % 360,
+        'distractor still derived from the constrained target');
+}
+
+const dirAltTrials = generateSidedTrials({ ...dirConstrained, paradigm: 'alternating', seed: 2 }, 60);
+assert(longestRun(dirAltTrials.map(t => t.meta.t1_target_dir)) <= 2, 'alternating: target direction runs <= 2');
+
+const dirBaselineTrials = generateSidedTrials({
+    ...dirConstrained, paradigm: 'prp-baseline', switchRate: 0, startTask: 'or', seed: 3,
+}, 60);
+assert(longestRun(dirBaselineTrials.map(t => t.meta.t2_target_dir)) <= 2, 'prp-baseline: target direction runs <= 2');
+
+// Four-direction canvas maps: the run limit draws from each canvas's own pool
+const fourWayCanvas = { mov: { 0: 'd', 90: 'w', 180: 'a', 270: 's' }, or: { 0: 'd', 90: 'w', 180: 'a', 270: 's' } };
+const dirFourWay = generateSidedTrials({
+    ...dirConstrained, paradigm: 'alternating', keyMaps: undefined,
+    canvasKeyMaps: { left: fourWayCanvas, right: fourWayCanvas }, seed: 4,
+}, 60);
+assert(new Set(dirFourWay.map(t => t.meta.t1_target_dir)).size === 4, 'alternating canvasKeyMaps: all four directions used');
+assert(longestRun(dirFourWay.map(t => t.meta.t1_target_dir)) <= 2, 'alternating canvasKeyMaps: runs <= 2');
+
+// ============================================================
+section('applySequenceConstraints — AABB keeps its pattern');
+
+const aabbConstrained = generateSequenceVectors({
+    ...constrainedConfig,
+    sequenceType: 'AABB',
+    startTask: 'mov',
+    constraints: { maxRunLength: { congruency: 2 } },
+}, 40, createRng(4));
+assert(aabbConstrained.task1.every((t, i) => t === (Math.floor(i / 2) % 2 === 0 ? 'mov' : 'or')), 'AABB pattern intact');
+assert(longestRun(aabbConstrained.congruency) <= 2, 'AABB: congruency runs <= 2');
+
+// ============================================================
+section('applySequenceConstraints — unsatisfiable constraints throw clear errors');
+
+let unsatTask = null;
+try {
+    generateSequenceVectors({ ...constrainedConfig, sequenceType: 'Exact', switchRate: 10,
+        constraints: { maxRunLength: { task: 2 } } }, 40);
+} catch (e) { unsatTask = e.message; }
+assert(unsatTask !== null && unsatTask.includes('maxRunLength.task'), `task: ${unsatTask}`);
+
+let unsatCong = null;
+try {
+    generateSequenceVectors({ ...constrainedConfig,
+        congruency: { conditions: ['congruent', 'incongruent'], proportions: [0.9, 0.1] },
+        constraints: { maxRunLength: { congruency: 2 } } }, 40);
+} catch (e) { unsatCong = e.message; }
+assert(unsatCong !== null && unsatCong.includes('maxRunLength.congruency'), `congruency: ${unsatCong}`);
+
+let unsatDir = null;
+try {
+    generateBlockTrials({ ...dirConstrained, switchRate: 0, startTask: 'mov',
+        keyMaps: { mov: { 0: 'd' }, or: { 0: 'l' } },
+        constraints: { maxRunLength: { targetDir: 3 } } }, 10);
+} catch (e) { unsatDir = e.message; }
+assert(unsatDir !== null && unsatDir.includes('targetDir'), `targetDir: ${unsatDir}`);
+
+let unsatAABB = null;
+try {
+    generateSequenceVectors({ ...constrainedConfig, sequenceType: 'AABB',
+        constraints: { maxRunLength: { task: 1 } } }, 10);
+} catch (e) { unsatAABB = e.message; }
+assert(unsatAABB !== null && unsatAABB.includes('AABB'), `AABB: ${unsatAABB}`);
+
+// ============================================================
+section('applySequenceConstraints — seeded blocks stay reproducible');
+
+const seededConstrained = { ...dirConstrained, seed: 77,
+    constraints: { maxRunLength: { task: 3, congruency: 3, targetDir: 3 }, balanceTransitions: true } };
+assert(JSON.stringify(generateBlockTrials(seededConstrained, 60)) === JSON.stringify(generateBlockTrials(seededConstrained, 60)),
+    'constrained block: identical trial lists from one seed');
+
+// ============================================================
+// Seeded randomness
+// ============================================================
+
+section('createRng — deterministic and in [0, 1)');
+
+const rngA = createRng(12345);
+const rngB = createRng(12345);
+let rngSame = true;
+let rngInRange = true;
+for (let i = 0; i < 1000; i++) {
+    const a = rngA();
+    const b = rngB();
+    if (a !== b) rngSame = false;
+    if (!(a >= 0 && a < 1)) rngInRange = false;
+}
+assert(rngSame, 'same seed produces identical streams');
+assert(rngInRange, 'all draws in [0, 1)');
+
+const rngC = createRng(54321);
+const rngD = createRng(12345);
+const streamC = Array.from({ length: 10 }, () => rngC());
+const streamD = Array.from({ length: 10 }, () => rngD());
+assert(streamC.some((v, i) => v !== streamD[i]), 'different seeds produce different streams');
+
+// ============================================================
+section('deriveSeed — deterministic per block, distinct across blocks');
+
+assert(deriveSeed(42, 1) === deriveSeed(42, 1), 'same session seed + block order → same seed');
+assert(deriveSeed(42, 1) !== deriveSeed(42, 2), 'different block order → different seed');
+assert(deriveSeed(42, 1) !== deriveSeed(43, 1), 'different session seed → different seed');
+assert(Number.isInteger(deriveSeed(42, 3)) && deriveSeed(42, 3) >= 0, 'derived seed is a non-negative integer');
+
+// ============================================================
+section('sampleFromDistribution — seeded rng is reproducible');
+
+const sampRngA = createRng(7);
+const sampRngB = createRng(7);
+for (let i = 0; i < 20; i++) {
+    const a = sampleFromDistribution({ type: 'uniform', value: 0, params: [200, 800] }, sampRngA);
+    const b = sampleFromDistribution({ type: 'uniform', value: 0, params: [200, 800] }, sampRngB);
+    assert(a === b, `seeded uniform sample ${i} reproducible`);
+}
+
+// ============================================================
+section('generateBlockTrials — same seed regenerates identical trials');
+
+const seededMixed = { ...mixedConfig, blockId: 'test_seeded_mixed', seed: 2024,
+    congruency: { conditions: ['congruent', 'incongruent'], proportions: [0.5, 0.5] },
+    coherence: { ch1_task: 0.8, ch1_distractor: 0.8, ch2_task: 0, ch2_distractor: 0 },
+    iti: { type: 'uniform', value: 500, params: [400, 600] } };
+const seededRun1 = generateBlockTrials(seededMixed, 60);
+const seededRun2 = generateBlockTrials(seededMixed, 60);
+assert(JSON.stringify(seededRun1) === JSON.stringify(seededRun2), 'mixed block: identical trial lists');
+assert(seededRun1.every(t => t.meta.seed === 2024), 'mixed block: seed written to meta');
+
+const seededRun3 = generateBlockTrials({ ...seededMixed, seed: 2025 }, 60);
+assert(JSON.stringify(seededRun1) !== JSON.stringify(seededRun3), 'different seed → different trial list');
+
+const seededPRP = { ...prpConfig, blockId: 'test_seeded_prp', seed: 99 };
+assert(JSON.stringify(generateBlockTrials(seededPRP, 30)) === JSON.stringify(generateBlockTrials(seededPRP, 30)),
+    'dual-task block: identical trial lists');
+
+const seededFactorial = { ...seededMixed, blockId: 'test_seeded_fact', sequenceType: 'Factorial',
+    iti: { type: 'choice', value: 500, params: [100, 600] } };
+assert(JSON.stringify(generateBlockTrials(seededFactorial, 22)) === JSON.stringify(generateBlockTrials(seededFactorial, 22)),
+    'Factorial block (with remainder fill): identical trial lists');
+
+// ============================================================
+section('generateBlockTrials — unseeded block still records a seed');
+
+const unseededTrials = generateBlockTrials(mixedConfig, 20);
+const recordedSeed = unseededTrials[0].meta.seed;
+assert(Number.isInteger(recordedSeed), `recorded seed is an integer: got ${recordedSeed}`);
+assert(unseededTrials.every(t => t.meta.seed === recordedSeed), 'same seed on every trial of the block');
+const rebuiltTrials = generateBlockTrials({ ...mixedConfig, seed: recordedSeed }, 20);
+assert(JSON.stringify(unseededTrials) === JSON.stringify(rebuiltTrials), 'recorded seed rebuilds the block');
+
+// ============================================================
+section('generateDualCanvasBlockTrials — same seed regenerates identical trials');
+
+const seededDC = {
+    blockId: 'test_seeded_dc',
+    blockType: 'prp',
+    paradigm: 'dual-canvas',
+    sequenceType: 'Random',
+    switchRate: 50,
+    startTask: null,
+    rso: 'disjoint',
+    csi: 0,
+    stimulusDuration: 1000,
+    responseWindow: 1000,
+    coherence: { ch1_task: 0.5, ch1_distractor: 0, ch2_task: 0, ch2_distractor: 0 },
+    congruency: { conditions: ['univalent'], proportions: [1.0] },
+    iti: { type: 'fixed', value: 1000 },
+    soa: { type: 'choice', value: 600, params: [100, 600] },
+    seed: 31337,
+};
+const seededDCRun1 = generateDualCanvasBlockTrials(seededDC, 40);
+const seededDCRun2 = generateDualCanvasBlockTrials(seededDC, 40);
+assert(JSON.stringify(seededDCRun1) === JSON.stringify(seededDCRun2), 'dual-canvas: identical trial lists');
+assert(seededDCRun1.every(t => t.meta.seed === 31337), 'dual-canvas: seed written to meta');
+
+// ============================================================
+section('generateSidedTrials — same seed regenerates identical trials');
+
+const seededAlt = {
+    ...seededDC,
+    blockId: 'test_seeded_alt',
+    paradigm: 'alternating',
+    iti: { type: 'choice', value: 600, params: [100, 600] },
+    seed: 8,
+};
+const seededAltRun1 = generateSidedTrials(seededAlt, 40);
+const seededAltRun2 = generateSidedTrials(seededAlt, 40);
+assert(JSON.stringify(seededAltRun1) === JSON.stringify(seededAltRun2), 'alternating: identical trial lists');
+assert(seededAltRun1.every(t => t.meta.seed === 8), 'alternating: seed written to meta');
+
+const seededBaseline = { ...seededAlt, blockId: 'test_seeded_bl', paradigm: 'prp-baseline', switchRate: 0, startTask: 'mov' };
+assert(JSON.stringify(generateSidedTrials(seededBaseline, 20)) === JSON.stringify(generateSidedTrials(seededBaseline, 20)),
+    'prp-baseline: identical trial lists');
+
+// ============================================================
+// Factorial — weighted cells and arbitrary switch rates
+// ============================================================
+section('generateFactorialSequence — weighted cells');
+
+const weightedSeq = generateFactorialSequence(40, {
+    transition: { levels: ['Repeat', 'Switch'], weights: [3, 1] },
+    congruency: { levels: ['congruent', 'incongruent'], weights: [0.8, 0.2] },
+}, createRng(7));
+assert(weightedSeq.length === 40, 'weighted: length 40');
+const weightedCount = (t, c) => weightedSeq.filter(x => x.transition === t && x.congruency === c).length;
+assert(weightedCount('Repeat', 'congruent') === 24, 'weighted: Repeat×congruent = 24');
+assert(weightedCount('Repeat', 'incongruent') === 6, 'weighted: Repeat×incongruent = 6');
+assert(weightedCount('Switch', 'congruent') === 8, 'weighted: Switch×congruent = 8');
+assert(weightedCount('Switch', 'incongruent') === 2, 'weighted: Switch×incongruent = 2');
+
+// Remainder allocation is deterministic and keeps marginals balanced
+const remA = generateFactorialSequence(10, { a: [1, 2, 3], b: ['x', 'y'] }, createRng(1));
+const remB = generateFactorialSequence(10, { a: [1, 2, 3], b: ['x', 'y'] }, createRng(2));
+const cellCounts = seq => JSON.stringify(['x', 'y'].map(b => [1, 2, 3].map(a =>
+    seq.filter(c => c.a === a && c.b === b).length)));
+assert(cellCounts(remA) === cellCounts(remB), 'remainder: same cell counts across seeds');
+assert(remA.filter(c => c.b === 'x').length === 5, 'remainder: b marginal balanced (x = 5)');
+
+let threwOnBadWeights = false;
+try {
+    generateFactorialSequence(10, { a: { levels: [1, 2], weights: [1] } });
+} catch (e) {
+    threwOnBadWeights = true;
+}
+assert(threwOnBadWeights, 'throws when weights do not match levels');
+
+section('generateSequenceVectors — Factorial with arbitrary switchRate');
+
+for (const rate of [25, 75]) {
+    const vec = generateSequenceVectors({
+        ...gsvBaseConfig,
+        blockId: `test_factorial_${rate}`,
+        sequenceType: 'Factorial',
+        switchRate: rate,
+        congruency: { conditions: ['congruent', 'incongruent'], proportions: [0.8, 0.2] },
+        seed: 11,
+    }, 40);
+    // Crossed counts are exact; relabelling trial 0 as 'First' can cost one Switch
+    const switches = vec.transition.filter(t => t === 'Switch').length;
+    const expected = 40 * rate / 100;
+    assert(switches === expected || switches === expected - 1, `switchRate ${rate}: ${switches} switches ≈ ${expected}`);
+    const incong = vec.congruency.filter(c => c === 'incongruent').length;
+    assert(incong === 8, `switchRate ${rate}: exactly 20% incongruent`);
+}
+
+section('sampleFromDistribution — weighted choice');
+
+const weightedRng = createRng(3);
+const draws = Array.from({ length: 2000 }, () =>
+    sampleFromDistribution({ type: 'choice', params: [100, 600], weights: [9, 1] }, weightedRng));
+const share100 = draws.filter(d => d === 100).length / draws.length;
+assert(share100 > 0.85 && share100 < 0.95, `weighted choice: 100 drawn ~90% (${share100.toFixed(2)})`);
+
+// ============================================================
+// More than two tasks
+// ============================================================
+section('switchTask — three tasks');
+
+const threeTasks = ['mov', 'or', 'col'];
+const switchRng = createRng(5);
+const switched = Array.from({ length: 300 }, () => switchTask('mov', threeTasks, switchRng));
+assert(switched.every(t => t === 'or' || t === 'col'), 'three tasks: never returns the current task');
+assert(switched.includes('or') && switched.includes('col'), 'three tasks: both other tasks drawn');
+assert(switchTask('col', ['col', 'size']) === 'size', 'two custom tasks: returns the other one');
+
+section('classifyN2Transitions');
+
+const n2Labels = classifyN2Transitions(['mov', 'or', 'mov', 'col', 'or', 'or', 'mov']);
+assert(n2Labels[0] === null && n2Labels[1] === null, 'first two trials: null');
+assert(n2Labels[2] === 'ABA', 'mov-or-mov: ABA');
+assert(n2Labels[3] === 'CBA', 'or-mov-col: CBA');
+assert(n2Labels[4] === 'CBA', 'mov-col-or: CBA');
+assert(n2Labels[5] === null, 'repeat trial: null');
+assert(n2Labels[6] === null, 'switch after a repeat: null');
+
+section('generateTaskSequence — three tasks');
+
+for (const type of ['Random', 'Exact', 'AABB']) {
+    const seq = generateTaskSequence(90, type, 100, null, createRng(4), { tasks: threeTasks });
+    assert(threeTasks.every(t => seq.includes(t)), `${type}: all three tasks appear`);
+    assert(seq.every(t => threeTasks.includes(t)), `${type}: only declared tasks`);
+}
+const allSwitch3 = generateTaskSequence(200, 'Random', 100, 'mov', createRng(9), { tasks: threeTasks });
+assert(allSwitch3.every((t, i) => i === 0 || t !== allSwitch3[i - 1]), 'switchRate 100: every trial switches');
+const n2Counts = classifyN2Transitions(allSwitch3);
+const abaShare = n2Counts.filter(l => l === 'ABA').length / 198;
+assert(abaShare > 0.35 && abaShare < 0.65, `switchRate 100: ABA and CBA both common (ABA ${abaShare.toFixed(2)})`);
+
+section('generateBlockTrials — three-task block');
+
+const threeTaskBlock = {
+    ...gsvBaseConfig,
+    blockId: 'test_three_task',
+    tasks: threeTasks,
+    switchRate: 100,
+    coherence: { mov: 0.7, or: 0.6, col: 0.5 },
+    keyMaps: { mov: { 180: 'a', 0: 'd' }, or: { 90: 'w', 270: 's' }, col: { 0: 'j', 180: 'l' } },
+    seed: 21,
+};
+const threeTaskTrials = generateBlockTrials(threeTaskBlock, 60);
+assert(threeTasks.every(t => threeTaskTrials.some(tr => tr.meta.t1_task === t)), 'three-task: every task used');
+assert(threeTaskTrials.every(tr => tr.seParams[`coh_${tr.meta.t1_task}_1`] === threeTaskBlock.coherence[tr.meta.t1_task]),
+    'three-task: per-task coherence on the active pathway');
+assert(threeTaskTrials.every(tr => threeTasks.filter(t => t !== tr.meta.t1_task)
+    .every(t => tr.seParams[`coh_${t}_1`] === 0 && tr.seParams[`dur_${t}_1`] === 0)),
+    'three-task: inactive pathways silenced');
+assert(threeTaskTrials.every(tr => Object.keys(threeTaskBlock.keyMaps[tr.meta.t1_task]).map(Number)
+    .includes(tr.meta.t1_target_dir)), 'three-task: target direction from the task key map');
+assert(threeTaskTrials.some(tr => tr.meta.n2Transition === 'ABA')
+    && threeTaskTrials.some(tr => tr.meta.n2Transition === 'CBA'), 'three-task: meta labels ABA and CBA');
+
+const threeTaskPRP = generateBlockTrials({
+    ...threeTaskBlock, blockId: 'test_three_task_prp', paradigm: 'dual-task', switchRate: 50,
+    soa: { type: 'fixed', value: 300 },
+}, 60);
+assert(threeTaskPRP.every(tr => tr.meta.t2_task !== tr.meta.t1_task && threeTasks.includes(tr.meta.t2_task)),
+    'three-task PRP: T2 is one of the other tasks');
+assert(threeTaskPRP.every(tr => tr.seParams[`coh_${tr.meta.t2_task}_2`] === threeTaskBlock.coherence[tr.meta.t2_task]),
+    'three-task PRP: T2 coherence on channel 2');
+
+let threwOnMissingKeyMap = false;
+try {
+    generateBlockTrials({ ...threeTaskBlock, keyMaps: { mov: { 180: 'a', 0: 'd' }, or: { 90: 'w', 270: 's' } } }, 10);
+} catch (e) {
+    threwOnMissingKeyMap = true;
+}
+assert(threwOnMissingKeyMap, 'throws when keyMaps lacks a declared task');
+
+// ============================================================
+// Dual-canvas within-canvas congruency
+// ============================================================
+section('generateDualCanvasBlockTrials — separate T1/T2 congruency');
+
+const withinCanvasConfig = {
+    ...dcDefaultConfig,
+    blockId: 'test_dc_within',
+    coherence: { mov: 0.8, or: 0.7 },
+    congruency: undefined,
+    t1Congruency: { conditions: ['congruent', 'incongruent'], proportions: [0.5, 0.5] },
+    t2Congruency: { conditions: ['congruent', 'incongruent'], proportions: [0.5, 0.5], distractorCoherence: 0.4 },
+    sequenceType: 'Factorial',
+    soa: { type: 'choice', value: 600, params: [100, 600] },
+    seed: 13,
+};
+const withinCanvasTrials = generateDualCanvasBlockTrials(withinCanvasConfig, 80);
+const otherTask = t => (t === 'mov' ? 'or' : 'mov');
+
+// Factorial crosses T1 congruency x T2 congruency x SOA: 8 cells of 10
+for (const c1 of ['congruent', 'incongruent']) {
+    for (const c2 of ['congruent', 'incongruent']) {
+        for (const soa of [100, 600]) {
+            const n = withinCanvasTrials.filter(t =>
+                t.meta.t1_congruency === c1 && t.meta.t2_congruency === c2 && t.meta.soa === soa).length;
+            assert(n === 10, `factorial cell ${c1}/${c2}/${soa}: 10 trials (got ${n})`);
+        }
+    }
+}
+
+for (const t of withinCanvasTrials) {
+    const expectDistractor = (label, target) => label === 'congruent' ? target : (target + 180) % 360;
+    assert(t.meta.t1_distractor_dir === expectDistractor(t.meta.t1_congruency, t.meta.t1_target_dir),
+        'T1 distractor follows T1 congruency');
+    assert(t.meta.t2_distractor_dir === expectDistractor(t.meta.t2_congruency, t.meta.t2_target_dir),
+        'T2 distractor follows T2 congruency');
+    assert(t.meta.cross_congruency === (t.meta.t1_target_dir === t.meta.t2_target_dir ? 'congruent' : 'incongruent'),
+        'cross-task congruency compares T1 and T2 targets');
+    // Distractor pathway rendered on each canvas
+    assert(t.leftSeParams[`coh_${otherTask(t.meta.t1_task)}_1`] === withinCanvasConfig.coherence[t.meta.t1_task],
+        'T1 distractor coherence defaults to the target coherence');
+    assert(t.rightSeParams[`coh_${otherTask(t.meta.t2_task)}_1`] === 0.4, 'T2 distractor uses distractorCoherence');
+    assert(t.rightSeParams[`dur_${otherTask(t.meta.t2_task)}_1`] > 0, 'T2 distractor pathway has a duration');
+}
+
+section('generateDualCanvasBlockTrials — per-canvas key maps and shared default');
+
+const canvasKeyMapTrials = generateDualCanvasBlockTrials({
+    ...withinCanvasConfig,
+    blockId: 'test_dc_canvas_keymaps',
+    t1Congruency: { conditions: ['neutral'], proportions: [1.0] },
+    t2Congruency: undefined,
+    sequenceType: 'Random',
+    canvasKeyMaps: {
+        left: { mov: { 180: 'a', 0: 'd' }, or: { 90: 'w', 270: 's' } },
+        right: { mov: { 180: 'j', 0: 'l' }, or: { 90: 'i', 270: 'k' } },
+    },
+}, 40);
+for (const t of canvasKeyMapTrials) {
+    const pool = t.meta.t1_task === 'mov' ? [0, 180] : [90, 270];
+    assert(pool.includes(t.meta.t1_target_dir), 'T1 target from its canvas key map');
+    assert(!pool.includes(t.meta.t1_distractor_dir), 'neutral T1 distractor from the other task pool');
+    assert(t.meta.t2_congruency === 'neutral', 'without t2Congruency, T2 shares the T1 label');
+}
+
+const univalentDC = generateDualCanvasBlockTrials(dcDefaultConfig, 10);
+assert(univalentDC.every(t => t.meta.t1_congruency === 'univalent' && t.meta.t2_congruency === 'univalent'
+    && t.meta.t1_distractor_dir === null && t.meta.t2_distractor_dir === null),
+    'univalent blocks: no distractors on either canvas');
+
+// ============================================================
+// Overlapping alternating (alternating-prp)
+// ============================================================
+section('generateSidedTrials — alternating-prp samples SOA between successive stimuli');
+
+const overlapBlock = {
+    ...seededAlt,
+    blockId: 'test_alt_prp',
+    paradigm: 'alternating-prp',
+    soa: { type: 'choice', value: 600, params: [50, 200, 1200] },
+    seed: 17,
+};
+const overlapTrials = generateSidedTrials(overlapBlock, 30);
+assert(overlapTrials[0].meta.soa === null, 'first trial: no preceding stimulus, soa null');
+assert(overlapTrials.slice(1).every(t => [50, 200, 1200].includes(t.meta.soa)), 'later trials: soa from the block distribution');
+assert(overlapTrials.every((t, i) => t.meta.side === (i % 2 === 0 ? 'left' : 'right')), 'sides alternate');
+assert(overlapTrials.every(t => t.meta.t2_task === null && t.meta.t1_task !== null), 'one task per trial in the T1 slot');
+assert(generateSidedTrials({ ...overlapBlock, paradigm: 'alternating' }, 30).every(t => t.meta.soa === null),
+    'plain alternating still has no soa');
+
+let threwWithoutSoa = false;
+try {
+    generateSidedTrials({ ...overlapBlock, soa: undefined }, 10);
+} catch (e) {
+    threwWithoutSoa = true;
+}
+assert(threwWithoutSoa, 'alternating-prp throws without an soa distribution');
+
+// ============================================================
+// Dual-PRP
+// ============================================================
+section('generateDualPRPBlockTrials — two-channel PRP trial on each canvas');
+
+const dualPRPBlock = {
+    ...seededDC,
+    blockId: 'test_dual_prp',
+    paradigm: 'dual-prp',
+    rso: 'disjoint',
+    csi: 100,
+    stimulusDuration: 300,
+    canvasCoherence: { left: { mov: 0.6, or: 0.5 }, right: { mov: 0.4, or: 0.3 } },
+    canvasSoa: { left: { type: 'fixed', value: 100 }, right: { type: 'choice', value: 600, params: [200, 800] } },
+    seed: 23,
+};
+const dualPRPTrials = generateDualPRPBlockTrials(dualPRPBlock, 40);
+assert(dualPRPTrials.length === 40, 'dual-prp: 40 trials');
+for (const t of dualPRPTrials) {
+    const m = t.meta;
+    assert(m.left_t2_task === switchTask(m.left_t1_task) && m.right_t2_task === switchTask(m.right_t1_task),
+        'default t2Rule switch on each canvas');
+    assert(m.left_soa === 100 && [200, 800].includes(m.right_soa), 'per-canvas SOA');
+    assert(t.leftSeParams.start_go_2 === 100 + m.left_soa && t.rightSeParams.start_go_2 === 100 + m.right_soa,
+        'channel 2 go signal at csi + canvas SOA');
+    assert(t.leftSeParams[`coh_${m.left_t1_task}_1`] === dualPRPBlock.canvasCoherence.left[m.left_t1_task]
+        && t.rightSeParams[`coh_${m.right_t2_task}_2`] === dualPRPBlock.canvasCoherence.right[m.right_t2_task],
+        'per-canvas coherence on each channel');
+    assert(m.t1_task === null && m.t2_task === null, 'no single-canvas T1/T2 roles');
+}
+assert(JSON.stringify(generateDualPRPBlockTrials(dualPRPBlock, 40)) === JSON.stringify(dualPRPTrials),
+    'dual-prp: same seed regenerates identical trials');
+
+let threwWithoutCanvasSoa = false;
+try {
+    generateDualPRPBlockTrials({ ...dualPRPBlock, soa: undefined, canvasSoa: { left: { type: 'fixed', value: 100 } } }, 5);
+} catch (e) {
+    threwWithoutCanvasSoa = true;
+}
+assert(threwWithoutCanvasSoa, 'dual-prp throws when a canvas has no SOA');
+for (const adaptiveSoa of [{ soa: { type: 'adaptive', value: 300 } }, { canvasSoa: { right: { type: 'adaptive', value: 300 } } }]) {
+    let adaptiveErr = null;
+    try { generateDualPRPBlockTrials({ ...dualPRPBlock, ...adaptiveSoa }, 4); } catch (e) { adaptiveErr = e; }
+    assert(adaptiveErr?.message.includes('adaptive SOA'), `dual-prp rejects adaptive SOA (${Object.keys(adaptiveSoa)[0]})`);
+}
+const dprpFourWay = generateDualPRPBlockTrials({
+    ...dualPRPBlock, canvasKeyMaps: { left: fourWayCanvas, right: fourWayCanvas },
+    constraints: { maxRunLength: { targetDir: 2 } }, seed: 5,
+}, 40);
+assert(new Set(dprpFourWay.map(t => t.meta.right_t1_target_dir)).size === 4
+    && longestRun(dprpFourWay.map(t => t.meta.right_t1_target_dir)) <= 2, 'dual-prp: run limit per canvas pool');
+
+// ============================================================
+// Cross-task response compatibility
+// ============================================================
+section('compatibleDirection');
+
+assert(compatibleDirection(180, 'compatible', null, null) === 180, 'compatible: same side, default keys');
+assert(compatibleDirection(180, 'incompatible', null, null) === 0, 'incompatible: other side, default keys');
+// Vertical T2 pool answered with a horizontal key pair: 90 on the left key
+const verticalT2Keys = { 90: 'j', 270: 'l' };
+assert(compatibleDirection(180, 'compatible', { 180: 'a', 0: 'd' }, verticalT2Keys) === 90,
+    'vertical T2: compatible picks the left key (90)');
+assert(compatibleDirection(0, 'compatible', { 180: 'a', 0: 'd' }, verticalT2Keys) === 270,
+    'vertical T2: compatible picks the right key (270)');
+assert(compatibleDirection(180, 'compatible', { 180: 'a', 0: 'd' }, { 180: 'l', 0: 'j' }) === 0,
+    'reversed T2 keys: compatible follows the key side, not the direction');
+assert(compatibleDirection(0, 'incompatible', { 0: 'd', 90: 'w', 180: 'a', 270: 's' }, { 0: 'l', 90: 'i', 180: 'j', 270: 'k' }) === 180,
+    'four-direction maps: only the side keys qualify');
+let threwOnMissingSide = false;
+try {
+    compatibleDirection(90, 'compatible', { 0: 'd', 90: 'w', 180: 'a', 270: 's' }, null);
+} catch (e) {
+    threwOnMissingSide = true;
+}
+assert(threwOnMissingSide, "throws when T1's key is on neither side");
+
+// The four-direction presets shipped in session_helpers.js, read from its source
+const shippedPresets = eval(fs.readFileSync('./session_helpers.js', 'utf8')
+    + '\n;({ NATURAL_WASD, NATURAL_IJKL, NATURAL_TFGH, NATURAL_NUMPAD })');
+for (const [name, keyMap] of Object.entries(shippedPresets)) {
+    assert(responseSide(keyMap, 180) === 'left' && responseSide(keyMap, 0) === 'right',
+        `${name}: 180 on the left key, 0 on the right key`);
+    assert(responseSide(keyMap, 90) === null && responseSide(keyMap, 270) === null,
+        `${name}: up and down keys on the centre column`);
+}
+for (let r = 0; r < 20; r++) {
+    assert(compatibleDirection(0, 'compatible', shippedPresets.NATURAL_IJKL, shippedPresets.NATURAL_NUMPAD) === 0,
+        'IJKL -> numpad: compatible always picks the right key (6)');
+}
+
+section('generateBlockTrials — dual-task crossTaskCompatibility');
+
+const compatBlock = {
+    ...gsvBaseConfig,
+    blockId: 'test_compat_dt',
+    paradigm: 'dual-task',
+    rso: 'disjoint',
+    sequenceType: 'Factorial',
+    switchRate: 50,
+    soa: { type: 'choice', value: 600, params: [100, 600] },
+    crossTaskCompatibility: { conditions: ['compatible', 'incompatible'], proportions: [0.75, 0.25] },
+    seed: 29,
+};
+const compatTrials = generateBlockTrials(compatBlock, 64);
+assert(compatTrials.every(t => (t.meta.compatibility === 'compatible') === (t.meta.t1_target_dir === t.meta.t2_target_dir)),
+    'dual-task: T2 direction follows the compatibility label');
+assert(compatTrials.filter(t => t.meta.compatibility === 'compatible').length === 48, 'dual-task: exactly 75% compatible');
+for (const soa of [100, 600]) {
+    const n = compatTrials.filter(t => t.meta.soa === soa && t.meta.compatibility === 'incompatible').length;
+    assert(n === 8, `Factorial crosses compatibility with SOA ${soa} (8 incompatible, got ${n})`);
+}
+assert(generateBlockTrials({ ...compatBlock, crossTaskCompatibility: undefined }, 10).every(t => t.meta.compatibility === null),
+    'without the factor: compatibility is null');
+
+const verticalCompat = generateBlockTrials({
+    ...compatBlock,
+    blockId: 'test_compat_vertical',
+    keyMaps: { mov: { 180: 'a', 0: 'd' }, or: { 90: 'j', 270: 'l' } },
+    seed: 31,
+}, 32);
+const leftKeyDir = { mov: 180, or: 90 };
+assert(verticalCompat.every(t => (t.meta.compatibility === 'compatible')
+    === ((t.meta.t1_target_dir === leftKeyDir[t.meta.t1_task]) === (t.meta.t2_target_dir === leftKeyDir[t.meta.t2_task]))),
+    'dual-task with a vertical T2 map: compatibility follows the key side');
+
+section('generateDualCanvasBlockTrials — crossTaskCompatibility');
+
+const compatDC = generateDualCanvasBlockTrials({
+    ...dcDefaultConfig,
+    blockId: 'test_compat_dc',
+    crossTaskCompatibility: { conditions: ['compatible', 'incompatible'], proportions: [0.5, 0.5] },
+    seed: 30,
+}, 40);
+assert(compatDC.every(t => (t.meta.compatibility === 'compatible') === (t.meta.t1_target_dir === t.meta.t2_target_dir)),
+    'dual-canvas: T2 direction follows the compatibility label');
+assert(compatDC.filter(t => t.meta.compatibility === 'incompatible').length === 20, 'dual-canvas: half incompatible');
+
+let threwOnSingleTaskCompat = false;
+try {
+    generateBlockTrials({ ...compatBlock, paradigm: 'single-task' }, 10);
+} catch (e) {
+    threwOnSingleTaskCompat = true;
+}
+assert(threwOnSingleTaskCompat, 'throws on crossTaskCompatibility in a single-task block');
+
+// ============================================================
+// Catch trials
+// ============================================================
+section('generateBlockTrials — dual-task catch trials');
+
+const catchBlock = {
+    ...compatBlock,
+    blockId: 'test_catch_dt',
+    crossTaskCompatibility: undefined,
+    coherence: { ch1_task: 0.8, ch1_distractor: 0, ch2_task: 0.7, ch2_distractor: 0 },
+    catch: { conditions: ['both', 't1-only', 't2-only'], proportions: [0.5, 0.25, 0.25] },
+    seed: 31,
+};
+const catchTrials = generateBlockTrials(catchBlock, 64);
+const countCatch = (trials, type) => trials.filter(t => t.meta.catchType === type).length;
+assert(countCatch(catchTrials, 'both') === 32, 'Factorial: half the trials show both tasks');
+assert(countCatch(catchTrials, 't1-only') === 16 && countCatch(catchTrials, 't2-only') === 16,
+    'Factorial: a quarter each of t1-only and t2-only');
+
+const t1Only = catchTrials.find(t => t.meta.catchType === 't1-only');
+assert(t1Only.seParams.task_2 === null, 't1-only: channel 2 has no task');
+assert(t1Only.seParams.dur_go_2 === 0, 't1-only: no T2 go signal');
+assert(t1Only.seParams[`coh_${t1Only.meta.t2_task}_2`] === 0, 't1-only: T2 pathway silenced');
+assert(t1Only.meta.t2_target_dir === null && t1Only.meta.t1_target_dir !== null, 't1-only: only T1 has a target direction');
+assert(t1Only.meta.t2_task !== null, 't1-only: meta keeps the omitted T2 task');
+
+const t2Only = catchTrials.find(t => t.meta.catchType === 't2-only');
+const t2OnlyT1 = t2Only.meta.t1_task;
+assert(t2Only.seParams[`coh_${t2OnlyT1}_1`] === 0 && t2Only.seParams[`dur_${t2OnlyT1}_1`] === 0, 't2-only: T1 pathway silenced');
+assert(t2Only.seParams.dur_1 === 0 && t2Only.seParams.dur_go_1 === 0, 't2-only: no T1 cue or go signal');
+assert(t2Only.seParams.start_go_2 === catchBlock.csi + t2Only.meta.soa, 't2-only: T2 keeps its SOA');
+assert(t2Only.seParams[`coh_${t2Only.meta.t2_task}_2`] === 0.7, 't2-only: T2 shown at its coherence');
+assert(t2Only.meta.t1_target_dir === null && t2Only.meta.t2_target_dir !== null, 't2-only: only T2 has a target direction');
+
+const bothTrial = catchTrials.find(t => t.meta.catchType === 'both');
+assert(bothTrial.seParams.dur_go_1 > 0 && bothTrial.seParams.dur_go_2 > 0, 'both: two go signals');
+assert(generateBlockTrials({ ...catchBlock, catch: undefined }, 10).every(t => t.meta.catchType === 'both'),
+    'dual-task without a catch config: every trial is both');
+assert(generateBlockTrials({ ...gsvBaseConfig, seed: 32 }, 10).every(t => t.meta.catchType === null),
+    'single-task: catchType is null');
+
+let threwOnSingleTaskCatch = false;
+try {
+    generateBlockTrials({ ...catchBlock, paradigm: 'single-task' }, 10);
+} catch (e) {
+    threwOnSingleTaskCatch = true;
+}
+assert(threwOnSingleTaskCatch, 'throws on a catch config in a single-task block');
+let threwOnUnknownCatch = false;
+try {
+    generateBlockTrials({ ...catchBlock, catch: { conditions: ['both', 'neither'], proportions: [0.5, 0.5] } }, 10);
+} catch (e) {
+    threwOnUnknownCatch = true;
+}
+assert(threwOnUnknownCatch, 'throws on an unknown catch condition');
+
+section('generateDualCanvasBlockTrials — catch trials');
+
+const catchDC = generateDualCanvasBlockTrials({
+    ...dcDefaultConfig,
+    blockId: 'test_catch_dc',
+    t1Side: 'right',
+    catch: { conditions: ['both', 't1-only', 't2-only'], proportions: [0.6, 0.2, 0.2] },
+    seed: 33,
+}, 50);
+assert(countCatch(catchDC, 't1-only') === 10 && countCatch(catchDC, 't2-only') === 10, 'dual-canvas: catch proportions');
+for (const t of catchDC) {
+    const t1Params = t.rightSeParams;
+    const t2Params = t.leftSeParams;
+    const t1Shown = t1Params.dur_go_1 > 0 && t1Params[`coh_${t.meta.t1_task}_1`] > 0;
+    const t2Shown = t2Params.dur_go_1 > 0 && t2Params[`coh_${t.meta.t2_task}_1`] > 0;
+    assert(t1Shown === (t.meta.catchType !== 't2-only'), `dual-canvas trial ${t.meta.trialNumber}: T1 canvas shown iff T1 present`);
+    assert(t2Shown === (t.meta.catchType !== 't1-only'), `dual-canvas trial ${t.meta.trialNumber}: T2 canvas shown iff T2 present`);
+    if (t.meta.catchType !== 'both') {
+        assert(t.meta.cross_congruency === null, 'dual-canvas catch trial: no cross congruency');
+    }
+}
+const dcT2Only = catchDC.find(t => t.meta.catchType === 't2-only');
+assert(dcT2Only.leftSeParams.start_go_1 === dcDefaultConfig.csi + 600, 'dual-canvas t2-only: T2 keeps its SOA');
+
+// ============================================================
+// Stop-signal trials
+// ============================================================
+section('generateBlockTrials — stop-signal trials');
+
+const stopBlock = {
+    ...gsvBaseConfig,
+    blockId: 'test_stop',
+    stopSignal: { proportion: 0.25, ssd: 200, duration: 150 },
+    seed: 34,
+};
+const stopTrials = generateBlockTrials(stopBlock, 40);
+assert(stopTrials.filter(t => t.meta.stopTrial).length === 10, 'exactly 25% stop trials');
+for (const t of stopTrials) {
+    if (t.meta.stopTrial) {
+        assert(t.meta.ssd === 200, 'stop trial: initial SSD in meta');
+        assert(t.seParams.start_2 === t.seParams.start_go_1 + 200, 'stop trial: stop signal at go onset + SSD');
+        assert(t.seParams.dur_2 === 150 && t.seParams.dur_go_2 === 0, 'stop trial: stop signal shown, no second go signal');
+    } else {
+        assert(t.meta.stopTrial === false && t.meta.ssd === null, 'go trial: stopTrial false, no SSD');
+        assert(t.seParams.dur_2 === 0, 'go trial: no stop signal');
+    }
+}
+const stopParams = { ...stopTrials.find(t => t.meta.stopTrial).seParams };
+setStopSignalDelay(stopParams, 350);
+assert(stopParams.start_2 === stopParams.start_go_1 + 350, 'setStopSignalDelay moves the stop signal');
+assert(generateBlockTrials({ ...gsvBaseConfig, seed: 34 }, 10).every(t => t.meta.stopTrial === null),
+    'without stopSignal: stopTrial is null');
+
+const stopDefaults = resolveStopSignal(stopBlock);
+assert(stopDefaults.step === 50 && stopDefaults.minSsd === 0 && stopDefaults.maxSsd === 2000,
+    'resolveStopSignal fills step and bounds');
+let threwOnDualTaskStop = false;
+try {
+    generateBlockTrials({ ...stopBlock, paradigm: 'dual-task', soa: { type: 'fixed', value: 300 } }, 10);
+} catch (e) {
+    threwOnDualTaskStop = true;
+}
+assert(threwOnDualTaskStop, 'throws on stopSignal in a dual-task block');
+let stopFeedbackErr = null;
+try { generateBlockTrials({ ...stopBlock, feedback: true }, 10); } catch (e) { stopFeedbackErr = e; }
+assert(stopFeedbackErr?.message.includes('without feedback'), 'throws on stopSignal with feedback turned on');
+
+// ============================================================
+// Run-length sequences
+// ============================================================
+section('generateTaskSequence — RunLength');
+
+const runs4 = generateTaskSequence(16, 'RunLength', 0, 'mov', createRng(35), { runLength: 4 });
+assert(runs4.every((t, i) => t === (Math.floor(i / 4) % 2 === 0 ? 'mov' : 'or')), 'runLength 4: AAAABBBB');
+const runs1 = generateTaskSequence(8, 'RunLength', 0, 'or', createRng(35), { runLength: 1 });
+assert(runs1.every((t, i) => t === (i % 2 === 0 ? 'or' : 'mov')), 'runLength 1: ABAB');
+assert(generateTaskSequence(8, 'RunLength', 0, 'mov', createRng(35), { runLength: 2 }).join() === aabb.join(),
+    'runLength 2 matches AABB');
+
+const variableRuns = generateTaskSequence(300, 'RunLength', 0, 'mov', createRng(36),
+    { runLength: { type: 'choice', value: 3, params: [2, 3, 4] } });
+const variablePositions = computeRunPositions(variableRuns);
+const completedRuns = variablePositions.filter((p, i) => i + 1 < variablePositions.length && variablePositions[i + 1] === 1);
+assert(completedRuns.every(p => p >= 2 && p <= 4), 'variable run lengths stay within the distribution');
+assert(new Set(completedRuns).size === 3, 'variable run lengths use every level');
+
+let threwOnMissingRunLength = false;
+try {
+    generateTaskSequence(8, 'RunLength', 0, 'mov');
+} catch (e) {
+    threwOnMissingRunLength = true;
+}
+assert(threwOnMissingRunLength, 'RunLength without runLength throws');
+for (const badRunLength of [2.5, 1.5, 0, -2]) {
+    let runLengthErr = null;
+    try { generateTaskSequence(12, 'RunLength', 0, 'mov', createRng(37), { runLength: badRunLength }); } catch (e) { runLengthErr = e; }
+    assert(runLengthErr?.message.includes('whole runLength'), `runLength ${badRunLength} throws`);
+}
+
+section('computeRunPositions and meta.runPosition');
+
+assert(computeRunPositions(['mov', 'mov', 'mov', 'or', 'mov', 'mov']).join() === '1,2,3,1,1,2', 'positions restart at each switch');
+const runTrials = generateBlockTrials({
+    ...gsvBaseConfig,
+    blockId: 'test_runlength',
+    sequenceType: 'RunLength',
+    runLength: 3,
+    startTask: 'mov',
+    seed: 37,
+}, 12);
+assert(runTrials.map(t => t.meta.runPosition).join() === '1,2,3,1,2,3,1,2,3,1,2,3', 'runLength 3: positions cycle 1..3');
+assert(runTrials.filter(t => t.meta.runPosition === 1).every(t => t.meta.trialNumber === 1 || t.meta.transitionType === 'Switch'),
+    'first trial of each run is a switch');
+
+let unsatRunLength = null;
+try {
+    generateSequenceVectors({ ...constrainedConfig, sequenceType: 'RunLength', runLength: 4,
+        constraints: { maxRunLength: { task: 3 } } }, 12);
+} catch (e) { unsatRunLength = e.message; }
+assert(unsatRunLength !== null && unsatRunLength.includes('RunLength runs of 4'), `RunLength: ${unsatRunLength}`);
+
+// ============================================================
+// Sided trials: key maps, congruency and balanced directions
+// ============================================================
+section('generateSidedTrials — key maps and congruency');
+
+const verticalKeyMaps = { mov: { 0: 'd', 180: 'a' }, or: { 90: 'w', 270: 's' } };
+const sidedKeyTrials = generateSidedTrials({
+    ...alternatingConfig,
+    blockId: 'test_sided_keys',
+    keyMaps: verticalKeyMaps,
+    congruency: { conditions: ['congruent', 'incongruent'], proportions: [0.5, 0.5], distractorCoherence: 0.5 },
+    seed: 38,
+}, 40);
+for (const t of sidedKeyTrials) {
+    const pool = Object.keys(verticalKeyMaps[t.meta.t1_task]).map(Number);
+    assert(pool.includes(t.meta.t1_target_dir), `trial ${t.meta.trialNumber}: target from the task's key map`);
+    const expectedDistractor = t.meta.t1_congruency === 'congruent' ? t.meta.t1_target_dir : (t.meta.t1_target_dir + 180) % 360;
+    assert(t.meta.t1_distractor_dir === expectedDistractor, `trial ${t.meta.trialNumber}: distractor follows congruency`);
+    const otherTask = t.meta.t1_task === 'mov' ? 'or' : 'mov';
+    assert(t.seParams[`coh_${otherTask}_1`] === 0.5 && t.seParams[`dir_${otherTask}_1`] === expectedDistractor,
+        `trial ${t.meta.trialNumber}: distractor pathway shown`);
+}
+assert(sidedKeyTrials.filter(t => t.meta.t1_congruency === 'congruent').length === 20, 'exact congruency proportions');
+
+const sidedCanvasTrials = generateSidedTrials({
+    ...alternatingConfig,
+    blockId: 'test_sided_canvas_keys',
+    switchRate: 0,
+    startTask: 'or',
+    canvasKeyMaps: { left: { mov: { 0: 'd', 180: 'a' }, or: { 90: 'w', 270: 's' } }, right: { mov: { 0: 'l', 180: 'j' }, or: { 0: 'l', 180: 'j' } } },
+    seed: 39,
+}, 20);
+assert(sidedCanvasTrials.every(t => (t.meta.side === 'left' ? [90, 270] : [0, 180]).includes(t.meta.t1_target_dir)),
+    'canvasKeyMaps: each side uses its own pool');
+assert(sidedKeyMaps({ keyMaps: verticalKeyMaps }, 'left') === verticalKeyMaps && sidedKeyMaps({}, 'right') === null,
+    'sidedKeyMaps falls back to keyMaps, then null');
+
+const defaultSided = generateSidedTrials({ ...alternatingConfig, seed: 40 }, 20);
+assert(defaultSided.every(t => [0, 180].includes(t.meta.t1_target_dir) && t.meta.t1_distractor_dir === null),
+    'defaults: 0/180 targets, univalent');
+
+section('balanceTargetDir — exact direction balance');
+
+const balancedAlt = generateSidedTrials({
+    ...alternatingConfig,
+    blockId: 'test_balanced_alt',
+    keyMaps: verticalKeyMaps,
+    balanceTargetDir: true,
+    seed: 41,
+}, 41);
+for (const task of ['mov', 'or']) {
+    const dirs = balancedAlt.filter(t => t.meta.t1_task === task).map(t => t.meta.t1_target_dir);
+    const pool = Object.keys(verticalKeyMaps[task]).map(Number);
+    const counts = pool.map(d => dirs.filter(x => x === d).length);
+    assert(Math.max(...counts) - Math.min(...counts) <= 1, `alternating ${task}: directions balanced (${counts})`);
+}
+const balancedBaseline = generateSidedTrials({ ...baselineConfig, balanceTargetDir: true, seed: 42 }, 20);
+assert(balancedBaseline.filter(t => t.meta.t2_target_dir === 0).length === 10, 'prp-baseline: exactly half 0°');
+const balancedSingle = generateBlockTrials({ ...gsvBaseConfig, balanceTargetDir: true, seed: 43 }, 30);
+for (const task of ['mov', 'or']) {
+    const dirs = balancedSingle.filter(t => t.meta.t1_task === task).map(t => t.meta.t1_target_dir);
+    assert(Math.abs(dirs.filter(d => d === 0).length - dirs.filter(d => d === 180).length) <= 1,
+        `generateBlockTrials ${task}: directions balanced`);
+}
+const balancedDC = generateDualCanvasBlockTrials({ ...dcDefaultConfig, switchRate: 0, startTask: 'mov', balanceTargetDir: true, seed: 44 }, 24);
+assert(balancedDC.filter(t => t.meta.t1_target_dir === 180).length === 12, 'dual-canvas: T1 directions balanced');
+
+let threwOnBalanceWithConstraint = false;
+try {
+    generateSidedTrials({ ...alternatingConfig, balanceTargetDir: true,
+        constraints: { maxRunLength: { targetDir: 3 } } }, 20);
+} catch (e) {
+    threwOnBalanceWithConstraint = true;
+}
+assert(threwOnBalanceWithConstraint, 'balanceTargetDir with maxRunLength.targetDir throws');
+
+// ============================================================
+// Four-direction tasks
+// ============================================================
+section('four-direction key maps in every paradigm');
+
+const wasd = { 0: 'd', 90: 'w', 180: 'a', 270: 's' };
+const ijkl = { 0: 'l', 90: 'i', 180: 'j', 270: 'k' };
+const fourDirSingle = generateBlockTrials({
+    ...gsvBaseConfig,
+    blockId: 'test_four_dir',
+    rso: 'disjoint',
+    keyMaps: { mov: wasd, or: ijkl },
+    congruency: { conditions: ['neutral'], proportions: [1.0] },
+    coherence: { ch1_task: 0.8, ch1_distractor: 0.5, ch2_task: 0, ch2_distractor: 0 },
+    seed: 45,
+}, 80);
+assert(new Set(fourDirSingle.map(t => t.meta.t1_target_dir)).size === 4, 'single-task: all four target directions used');
+assert(fourDirSingle.every(t => Math.abs(t.meta.t1_distractor_dir - t.meta.t1_target_dir) % 180 === 90),
+    'four-direction neutral distractor is orthogonal to the target');
+
+const fourDirDual = generateBlockTrials({
+    ...compatBlock,
+    blockId: 'test_four_dir_dt',
+    crossTaskCompatibility: undefined,
+    keyMaps: { mov: wasd, or: ijkl },
+    seed: 46,
+}, 60);
+assert(new Set(fourDirDual.map(t => t.meta.t2_target_dir)).size === 4, 'dual-task: T2 uses all four directions');
+
+const fourDirCanvas = { left: { mov: wasd, or: wasd }, right: { mov: ijkl, or: ijkl } };
+const fourDirDC = generateDualCanvasBlockTrials({ ...dcDefaultConfig, canvasKeyMaps: fourDirCanvas, seed: 47 }, 60);
+assert(new Set(fourDirDC.map(t => t.meta.t2_target_dir)).size === 4, 'dual-canvas: four directions per canvas');
+const fourDirAlt = generateSidedTrials({ ...alternatingConfig, canvasKeyMaps: fourDirCanvas, seed: 48 }, 60);
+assert(new Set(fourDirAlt.map(t => t.meta.t1_target_dir)).size === 4, 'alternating: four directions');
+const fourDirBaseline = generateSidedTrials({ ...baselineConfig, canvasKeyMaps: fourDirCanvas, balanceTargetDir: true, seed: 49 }, 40);
+assert([0, 90, 180, 270].every(d => fourDirBaseline.filter(t => t.meta.t2_target_dir === d).length === 10),
+    'prp-baseline: four directions balanced');
+
+// ============================================================
+// Response repetition and block position
+// ============================================================
+section('classifyResponseTransitions / requiredResponse');
+
+assert(classifyResponseTransitions(['a', 'a', 'd', null, 'd']).join() === 'First,Repeat,Switch,,',
+    'labels follow the previous required response; null when either has none');
+assert(requiredResponse({ mov: { 0: 'd', 180: 'a' } }, 'mov', 180, 'left') === 'a', 'key from the key map');
+assert(requiredResponse(null, 'or', 0, 'right') === 'right:0', 'preset keys: hand and direction');
+assert(requiredResponse(null, 'or', null, 'right') === null, 'no target: no required response');
+
+section('meta.responseTransition and firstTrialOfBlock');
+
+const respTrials = generateBlockTrials({ ...gsvBaseConfig, rso: 'identical', seed: 50 }, 40);
+assert(respTrials[0].meta.firstTrialOfBlock === true && respTrials.slice(1).every(t => t.meta.firstTrialOfBlock === false),
+    'only trial 1 is the first trial of the block');
+assert(respTrials[0].meta.responseTransition === 'First', 'trial 1: First');
+for (let i = 1; i < respTrials.length; i++) {
+    const same = respTrials[i].meta.t1_target_dir === respTrials[i - 1].meta.t1_target_dir;
+    assert(respTrials[i].meta.responseTransition === (same ? 'Repeat' : 'Switch'),
+        `identical RSO trial ${i + 1}: response repeats iff the direction repeats`);
+}
+const disjointResp = generateBlockTrials({ ...gsvBaseConfig, rso: 'disjoint', seed: 51 }, 40);
+assert(disjointResp.every(t => t.meta.transitionType !== 'Switch' || t.meta.responseTransition === 'Switch'),
+    'disjoint RSO: a task switch always switches the response');
+const keyedResp = generateBlockTrials({ ...gsvBaseConfig, rso: 'identical', seed: 52,
+    keyMaps: { mov: { 0: 'd', 180: 'a' }, or: { 0: 'a', 180: 'd' } } }, 40);
+for (let i = 1; i < keyedResp.length; i++) {
+    const key = t => t.meta.t1_task === 'mov' ? (t.meta.t1_target_dir === 0 ? 'd' : 'a') : (t.meta.t1_target_dir === 0 ? 'a' : 'd');
+    assert(keyedResp[i].meta.responseTransition === (key(keyedResp[i]) === key(keyedResp[i - 1]) ? 'Repeat' : 'Switch'),
+        `key maps: trial ${i + 1} compares required keys`);
+}
+const altResp = generateSidedTrials({ ...alternatingConfig, seed: 53 }, 10);
+assert(altResp.slice(1).every(t => t.meta.responseTransition === 'Switch'), 'alternating: hands alternate, so responses always switch');
+assert(generateDualCanvasBlockTrials({ ...dcDefaultConfig, seed: 54 }, 10).every(t => t.meta.responseTransition !== undefined),
+    'dual-canvas: responseTransition set');
+assert(generateDualPRPBlockTrials({ ...dualPRPBlock, seed: 55 }, 4)[0].meta.firstTrialOfBlock === true, 'dual-prp: firstTrialOfBlock set');
+
+// ============================================================
+// Design factors in meta
+// ============================================================
+section('meta.t1_congruency on single-canvas blocks');
+
+const congLabelTrials = generateBlockTrials({
+    ...gsvBaseConfig,
+    blockId: 'test_cong_label',
+    congruency: { conditions: ['congruent', 'incongruent', 'neutral', 'univalent'], proportions: [0.25, 0.25, 0.25, 0.25] },
+    seed: 56,
+}, 40);
+for (const label of ['congruent', 'incongruent', 'neutral', 'univalent']) {
+    assert(congLabelTrials.filter(t => t.meta.t1_congruency === label).length === 10, `single-task: 10 ${label} labels`);
+}
+assert(congLabelTrials.filter(t => t.meta.t1_congruency === 'univalent').every(t => t.meta.t1_distractor_dir === null),
+    'univalent label matches the missing distractor');
+assert(generateBlockTrials({ ...compatBlock, crossTaskCompatibility: undefined, seed: 57 }, 5).every(t => t.meta.t1_congruency === null),
+    'dual-task: no congruency label');
+
+// ============================================================
+// Adaptive SOA
+// ============================================================
+section('setTrialSoa — adaptive SOA re-timing');
+
+assert(sampleFromDistribution({ type: 'adaptive', value: 400, step: 50 }) === 400, 'adaptive SOA: trials start at value');
+
+const adaptiveDT = { ...compatBlock, sequenceType: 'Random', soa: { type: 'adaptive', value: 400, step: 50 }, seed: 35 };
+const adaptiveTrials = generateBlockTrials(adaptiveDT, 8);
+assert(adaptiveTrials.every(t => t.meta.soa === 400), 'adaptive dual-task: generated at the starting SOA');
+const dtBefore = { ...adaptiveTrials[0].seParams };
+setTrialSoa(adaptiveTrials[0], 250);
+const dtAfter = adaptiveTrials[0].seParams;
+assert(adaptiveTrials[0].meta.soa === 250, 'setTrialSoa: meta.soa updated');
+assert(dtAfter.start_2 === dtBefore.start_2 - 150 && dtAfter.start_go_2 === dtBefore.start_go_2 - 150,
+    'setTrialSoa: dual-task channel 2 shifted by the SOA change');
+assert(dtAfter.start_1 === dtBefore.start_1 && dtAfter.start_go_1 === dtBefore.start_go_1, 'setTrialSoa: channel 1 untouched');
+assert(dtAfter.start_go_2 - dtAfter.start_go_1 === 250, 'setTrialSoa: go signals 250 ms apart');
+
+const adaptiveDC = generateDualCanvasBlockTrials({ ...dcDefaultConfig, soa: { type: 'adaptive', value: 600 }, seed: 35 }, 4);
+const dcTrial = adaptiveDC[0];
+const dcT2Key = dcTrial.meta.t1Side === 'left' ? 'rightSeParams' : 'leftSeParams';
+const dcT1Key = dcT2Key === 'rightSeParams' ? 'leftSeParams' : 'rightSeParams';
+const dcT1Before = { ...dcTrial[dcT1Key] };
+const dcT2GoBefore = dcTrial[dcT2Key].start_go_1;
+setTrialSoa(dcTrial, 200);
+assert(dcTrial[dcT2Key].start_go_1 === dcT2GoBefore - 400, 'setTrialSoa: dual-canvas T2 canvas shifted');
+assert(dcTrial[dcT1Key].start_go_1 === dcT1Before.start_go_1, 'setTrialSoa: dual-canvas T1 canvas untouched');
+
+const adaptiveBaseline = generateSidedTrials({ ...baselineConfig, soa: { type: 'adaptive', value: 500 }, seed: 35 }, 4);
+setTrialSoa(adaptiveBaseline[0], 300);
+assert(adaptiveBaseline[0].meta.soa === 300, 'setTrialSoa: prp-baseline only updates meta.soa');
+
+let adaptiveErr = null;
+try { generateSequenceVectors({ ...gsvBaseConfig, soa: { type: 'adaptive', value: 400 } }, 8); } catch (e) { adaptiveErr = e; }
+assert(adaptiveErr !== null, 'adaptive SOA on a single-task block throws');
+adaptiveErr = null;
+try { generateSidedTrials({ ...baselineConfig, soa: { type: 'adaptive', value: 400, measure: 'grouping' } }, 8); } catch (e) { adaptiveErr = e; }
+assert(adaptiveErr !== null, 'grouping measure on prp-baseline throws');
+
+// ============================================================
+// Trial-level CSI
+// ============================================================
+section('generateSequenceVectors — CSI distributions');
+
+const csiFixed = generateBlockTrials({ ...gsvBaseConfig, seed: 36 }, 10);
+assert(csiFixed.every(t => t.meta.csi === 200 && t.seParams.start_go_1 === 200), 'numeric csi: fixed CSI on every trial');
+
+const csiFactorial = {
+    ...gsvBaseConfig,
+    sequenceType: 'Factorial',
+    csi: { type: 'choice', value: 100, params: [100, 1000] },
+    seed: 36,
+};
+const csiVectors = generateSequenceVectors(csiFactorial, 40, createRng(36));
+for (const csi of [100, 1000]) {
+    assert(csiVectors.csi.filter(c => c === csi).length === 20, `Factorial: CSI ${csi} on half the trials`);
+    for (const transition of ['Repeat', 'Switch']) {
+        // trial 1 is relabelled 'First', so its cell may be one short
+        const n = csiVectors.transition.filter((t, i) => t === transition && csiVectors.csi[i] === csi).length;
+        assert(n === 10 || n === 9, `Factorial: CSI ${csi} x ${transition} cell is crossed (got ${n})`);
+    }
+}
+const csiTrials = generateBlockTrials(csiFactorial, 40);
+assert(csiTrials.every(t => t.seParams.start_go_1 === t.meta.csi && t.seParams.dur_1 === t.meta.csi + 300),
+    'per-trial CSI sets the cue duration and go onset');
+
+const csiUniform = generateSequenceVectors({ ...gsvBaseConfig, csi: { type: 'uniform', value: 500, params: [200, 800] }, seed: 36 }, 50);
+assert(csiUniform.csi.every(c => c >= 200 && c <= 800) && new Set(csiUniform.csi).size > 1, 'uniform CSI: varied within range');
+
+const csiConstrained = generateSequenceVectors({ ...csiFactorial, constraints: { maxRunLength: { task: 3 } } }, 40, createRng(36));
+for (const csi of [100, 1000]) {
+    const cell = v => v.transition.filter((t, i) => t === 'Switch' && v.csi[i] === csi).length;
+    assert(cell(csiConstrained) === cell(csiVectors), `constraints keep crossed CSI with its row (CSI ${csi} x Switch)`);
+}
+
+const csiDC = generateDualCanvasBlockTrials({ ...dcDefaultConfig, csi: { type: 'choice', value: 100, params: [100, 900] }, seed: 36 }, 8);
+for (const t of csiDC) {
+    const t1Params = t.meta.t1Side === 'left' ? t.leftSeParams : t.rightSeParams;
+    assert(t1Params.start_go_1 === t.meta.csi, 'dual-canvas: T1 canvas uses the trial CSI');
+}
+const csiSided = generateSidedTrials({ ...alternatingConfig, csi: { type: 'choice', value: 150, params: [150, 450] }, seed: 36 }, 8);
+assert(csiSided.every(t => t.seParams.start_go_1 === t.meta.csi && [150, 450].includes(t.meta.csi)), 'sided trials: per-trial CSI');
+
+// ============================================================
+// Response-cue interval
+// ============================================================
+section('generateSequenceVectors — RCI');
+
+assert(generateBlockTrials({ ...gsvBaseConfig, seed: 37 }, 6).every(t => t.meta.rci === null), 'no rci: meta.rci is null');
+
+const rciFactorial = {
+    ...gsvBaseConfig,
+    sequenceType: 'Factorial',
+    csi: { type: 'choice', value: 100, params: [100, 1000] },
+    rci: { type: 'choice', value: 100, params: [100, 1000] },
+    seed: 37,
+};
+const rciVectors = generateSequenceVectors(rciFactorial, 40, createRng(37));
+for (const rci of [100, 1000]) {
+    for (const csi of [100, 1000]) {
+        const n = rciVectors.rci.filter((r, i) => r === rci && rciVectors.csi[i] === csi).length;
+        assert(n === 10, `Factorial: RCI ${rci} x CSI ${csi} crossed (got ${n})`);
+    }
+}
+const rciConstrained = generateSequenceVectors({ ...rciFactorial, constraints: { maxRunLength: { task: 3 } } }, 40, createRng(37));
+assert(rciConstrained.rci.filter((r, i) => r === 100 && rciConstrained.csi[i] === 100).length === 10,
+    'constraints keep crossed RCI with its row');
+
+const rciTrials = generateBlockTrials({ ...gsvBaseConfig, rci: { type: 'uniform', value: 500, params: [200, 1200] }, seed: 37 }, 10);
+assert(rciTrials.every(t => t.meta.rci >= 200 && t.meta.rci <= 1200), 'single-task: meta.rci sampled per trial');
+const rciDC = generateDualCanvasBlockTrials({ ...dcDefaultConfig, rci: { type: 'fixed', value: 800 }, seed: 37 }, 4);
+assert(rciDC.every(t => t.meta.rci === 800), 'dual-canvas: meta.rci');
+const rciSided = generateSidedTrials({ ...baselineConfig, rci: { type: 'fixed', value: 800 }, seed: 37 }, 4);
+assert(rciSided.every(t => t.meta.rci === 800), 'prp-baseline: meta.rci');
+
+let rciErr = null;
+try { generateDualPRPBlockTrials({ ...dualPRPBlock, rci: { type: 'fixed', value: 800 } }, 8); } catch (e) { rciErr = e; }
+assert(rciErr !== null, 'rci on a dual-prp block throws');
+
+// ============================================================
+// Voluntary task switching
+// ============================================================
+section('generateBlockTrials — voluntary task switching');
+
+const voluntaryBlock = {
+    ...gsvBaseConfig,
+    blockId: 'test_voluntary',
+    paradigm: 'voluntary',
+    rso: 'disjoint',
+    keyMaps: { mov: { 0: 'd', 180: 'a' }, or: { 90: 'i', 270: 'k' } },
+    coherence: { mov: 0.8, or: 0.6 },
+    seed: 38,
+};
+const voluntaryTrials = generateBlockTrials(voluntaryBlock, 20);
+for (const t of voluntaryTrials) {
+    const p = t.seParams;
+    assert(t.meta.t1_task === null && t.meta.transitionType === null, 'voluntary: task and transition left to the response');
+    assert([0, 180].includes(t.meta.voluntaryDirs.mov) && [90, 270].includes(t.meta.voluntaryDirs.or),
+        'voluntary: each task has a target direction from its pool');
+    assert(p.coh_mov_1 === 0.8 && p.coh_or_1 === 0.6, 'voluntary: both tasks at their target coherence');
+    assert(p.dir_mov_1 === t.meta.voluntaryDirs.mov && p.dir_or_1 === t.meta.voluntaryDirs.or, 'voluntary: directions routed per task');
+    assert(p.dur_mov_1 > 0 && p.dur_or_1 > 0, 'voluntary: both pathways shown');
+    assert(p.dur_1 === 0 && p.start_go_1 === 200, 'voluntary: no task cue, go signal at the CSI');
+    assert(p.dur_2 === 0 && p.coh_mov_2 === 0, 'voluntary: channel 2 unused');
+}
+assert(new Set(voluntaryTrials.map(t => t.meta.voluntaryDirs.mov)).size === 2, 'voluntary: target directions vary');
+
+let voluntaryErr = null;
+try {
+    generateBlockTrials({ ...voluntaryBlock, keyMaps: { mov: { 0: 'd', 180: 'a' }, or: { 0: 'd', 180: 'a' } } }, 4);
+} catch (e) { voluntaryErr = e; }
+assert(voluntaryErr !== null, 'voluntary: shared key sets throw');
+voluntaryErr = null;
+try { generateBlockTrials({ ...voluntaryBlock, rso: 'identical', keyMaps: undefined }, 4); } catch (e) { voluntaryErr = e; }
+assert(voluntaryErr !== null, 'voluntary: identical RSO without key maps throws');
+voluntaryErr = null;
+try { generateBlockTrials({ ...voluntaryBlock, feedback: true }, 4); } catch (e) { voluntaryErr = e; }
+assert(voluntaryErr?.message.includes('without feedback'), 'voluntary: feedback turned on throws');
+
 // ============================================================
 // Summary
 console.log(`\n============================`);
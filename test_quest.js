@@ -1,9 +1,10 @@
 /**
- * Tests for QUEST adaptive staircase (createQuest and argMax).
+ * Tests for adaptive staircases (createQuest, createQuestPlus,
+ * createTransformedStaircase and argMax).
  *
  * Run: node test_quest.js
  *
- * Loads session_helpers.js (where createQuest and argMax live) and tests
+ * Loads session_helpers.js (where the staircases and argMax live) and tests
  * the algorithm's initialization, updates, and convergence.
  */
 
@@ -289,6 +290,363 @@ const veryHard = q10.getNextIntensity();
 assert(veryHard > 0.8,
     `20 consecutive incorrect pushes intensity very high: ${veryHard.toFixed(4)}`);
 
+// ============================================================
+// Configurable parameters and stopping rules
+// ============================================================
+
+section('createQuest — default options match the original parameters');
+
+const qDefault = createQuest(0.5, 0.2);
+const qExplicit = createQuest(0.5, 0.2, { gamma: 0.5, delta: 0.02, beta: 3.5, epsilon: 0.03315, axisMin: 0.01, axisMax: 1, axisValues: 100 });
+for (const [coh, correct] of [[0.5, true], [0.4, false], [0.45, true]]) {
+    qDefault.update(coh, correct);
+    qExplicit.update(coh, correct);
+}
+assert(qDefault.getNextIntensity() === qExplicit.getNextIntensity(), 'explicit defaults give the same staircase');
+
+// ============================================================
+
+section('createQuest — target performance level');
+
+function fixedRun(options) {
+    const quest = createQuest(0.4, 0.2, options);
+    for (let i = 0; i < 10; i++) {
+        quest.update(0.3, true);
+        quest.update(0.2, false);
+    }
+    return quest.getNextIntensity();
+}
+const at75 = fixedRun({ pThreshold: 0.75 });
+const at90 = fixedRun({ pThreshold: 0.9 });
+assert(at90 > at75, `threshold at 90% (${at90.toFixed(3)}) lies above threshold at 75% (${at75.toFixed(3)})`);
+assert(fixedRun({ pThreshold: 0.9, epsilon: 0.03315 }) === fixedRun({}), 'explicit epsilon overrides pThreshold');
+
+// ============================================================
+
+section('createQuest — intensity axis range');
+
+const qNarrow = createQuest(0.2, 0.1, { axisMin: 0.05, axisMax: 0.5 });
+for (let i = 0; i < 30; i++) qNarrow.update(qNarrow.getNextIntensity(), false);
+assert(qNarrow.getNextIntensity() <= 0.5, `incorrect responses stop at axisMax (${qNarrow.getNextIntensity().toFixed(3)})`);
+for (let i = 0; i < 60; i++) qNarrow.update(qNarrow.getNextIntensity(), true);
+assert(qNarrow.getNextIntensity() >= 0.05, `correct responses stop at axisMin (${qNarrow.getNextIntensity().toFixed(3)})`);
+
+// ============================================================
+
+section('createQuest — posterior summary');
+
+const qPost = createQuest(0.5, 0.2);
+const priorPosterior = qPost.getPosterior();
+approxEqual(priorPosterior.mean, 0.5, 0.05, 'prior posterior mean near the prior mean');
+assert(priorPosterior.mode === qPost.getNextIntensity(), 'posterior mode is the next intensity');
+for (let t = 0; t < 40; t++) {
+    const coh = qPost.getNextIntensity();
+    qPost.update(coh, simulateResponse(coh, 0.3));
+}
+const laterPosterior = qPost.getPosterior();
+assert(laterPosterior.sd < priorPosterior.sd,
+    `posterior SD shrinks with data (${priorPosterior.sd.toFixed(3)} → ${laterPosterior.sd.toFixed(3)})`);
+assert(laterPosterior.mean > 0 && laterPosterior.mean <= 1, 'posterior mean is a valid coherence');
+
+// ============================================================
+
+section('createQuest — stopping rules');
+
+const qCap = createQuest(0.5, 0.2, { maxTrials: 5 });
+for (let i = 0; i < 4; i++) qCap.update(qCap.getNextIntensity(), true);
+assert(!qCap.isDone(), 'not done before the trial cap');
+qCap.update(qCap.getNextIntensity(), true);
+assert(qCap.isDone(), 'done at the trial cap');
+assert(createQuest(0.5, 0.2, { stopSd: 1 }).isDone(), 'loose SD criterion: done at once');
+const qTight = createQuest(0.5, 0.2, { stopSd: 0.001 });
+for (let i = 0; i < 20; i++) qTight.update(qTight.getNextIntensity(), i % 2 === 0);
+assert(!qTight.isDone(), 'tight SD criterion: still running');
+assert(!createQuest(0.5, 0.2).isDone(), 'no stopping rule: never done');
+
+// ============================================================
+// createQuestPlus
+// ============================================================
+
+section('createQuestPlus — same interface as createQuest');
+
+const qp1 = createQuestPlus(0.5, 0.2);
+for (const method of ['getNextIntensity', 'update', 'getFinalEstimate', 'getPosterior', 'isDone']) {
+    assert(typeof qp1[method] === 'function', `has ${method}`);
+}
+const qpFirst = qp1.getNextIntensity();
+assert(qpFirst >= 0.01 && qpFirst <= 1, `first intensity ${qpFirst.toFixed(3)} on the axis`);
+approxEqual(qp1.getPosterior().mean, 0.5, 0.05, 'prior threshold mean near the prior mean');
+
+// ============================================================
+
+section('createQuestPlus — update direction');
+
+const qpUp = createQuestPlus(0.5, 0.2);
+const qpDown = createQuestPlus(0.5, 0.2);
+for (let i = 0; i < 5; i++) {
+    qpUp.update(qpUp.getNextIntensity(), false);
+    qpDown.update(qpDown.getNextIntensity(), true);
+}
+assert(qpUp.getPosterior().mean > 0.5, 'incorrect responses raise the threshold estimate');
+assert(qpDown.getPosterior().mean < 0.5, 'correct responses lower the threshold estimate');
+
+// ============================================================
+
+section('createQuestPlus — convergence on simulated observers');
+
+// Observer on the same Weibull family as createQuestPlus, threshold at 82% correct
+function simulateWeibull(coherence, threshold, slope, lapse = 0.02) {
+    const epsilon = Math.log10(-Math.log(1 - (0.82 - 0.5) / (0.5 - lapse))) / slope;
+    const x = Math.log10(coherence) - Math.log10(threshold) + epsilon;
+    const p = 0.5 + (0.5 - lapse) * (1 - Math.exp(-(10 ** (slope * x))));
+    return Math.random() < p;
+}
+
+function runQuestPlus(threshold, slope, numTrials, options = {}) {
+    const quest = createQuestPlus(0.4, 0.2, options);
+    for (let t = 0; t < numTrials; t++) {
+        const coh = quest.getNextIntensity();
+        quest.update(coh, simulateWeibull(coh, threshold, slope, options.observerLapse));
+    }
+    return quest.getPosterior();
+}
+
+const qpRuns = 8;
+let qpLow = 0;
+let qpHigh = 0;
+for (let r = 0; r < qpRuns; r++) {
+    qpLow += runQuestPlus(0.2, 3.5, 60).mean / qpRuns;
+    qpHigh += runQuestPlus(0.6, 3.5, 60).mean / qpRuns;
+}
+approxEqual(qpLow, 0.2, 0.08, `average threshold converges near 0.2`);
+approxEqual(qpHigh, 0.6, 0.15, `average threshold converges near 0.6`);
+assert(qpLow < qpHigh, 'low-threshold observer estimated below high-threshold observer');
+
+let qpShallow = 0;
+let qpSteep = 0;
+for (let r = 0; r < qpRuns; r++) {
+    qpShallow += runQuestPlus(0.3, 1.5, 100).slope / qpRuns;
+    qpSteep += runQuestPlus(0.3, 6, 100).slope / qpRuns;
+}
+assert(qpSteep > qpShallow,
+    `steep observer's slope (${qpSteep.toFixed(2)}) estimated above shallow observer's (${qpShallow.toFixed(2)})`);
+
+// ============================================================
+
+section('createQuestPlus — optional lapse estimation');
+
+const qpFixedLapse = createQuestPlus(0.4, 0.2);
+approxEqual(qpFixedLapse.getPosterior().lapse, 0.02, 1e-9, 'single lapse value: lapse fixed');
+let qpLapse = 0;
+for (let r = 0; r < 4; r++) {
+    qpLapse += runQuestPlus(0.3, 3.5, 100, { lapses: [0, 0.05, 0.1], observerLapse: 0.1 }).lapse / 4;
+}
+assert(qpLapse > 0.05, `lapse grid: high-lapse observer estimated above the grid middle (${qpLapse.toFixed(3)})`);
+
+// ============================================================
+
+section('createQuestPlus — stopping rules');
+
+const qpCap = createQuestPlus(0.5, 0.2, { maxTrials: 3 });
+qpCap.update(0.5, true);
+qpCap.update(0.4, true);
+assert(!qpCap.isDone(), 'not done before the trial cap');
+qpCap.update(0.3, false);
+assert(qpCap.isDone(), 'done at the trial cap');
+assert(createQuestPlus(0.5, 0.2, { stopSd: 1 }).isDone(), 'loose SD criterion: done at once');
+
+// ============================================================
+// createTransformedStaircase
+// ============================================================
+
+section('createTransformedStaircase — 1-up/2-down steps and reversals');
+
+const sc2 = createTransformedStaircase('1up-2down', 0.5, { step: 0.1 });
+sc2.update(0.5, true);
+approxEqual(sc2.getNextIntensity(), 0.5, 1e-9, 'one correct: level unchanged');
+sc2.update(0.5, true);
+approxEqual(sc2.getNextIntensity(), 0.4, 1e-9, 'two correct: down one step');
+sc2.update(0.4, true);
+sc2.update(0.4, false);
+approxEqual(sc2.getNextIntensity(), 0.5, 1e-9, 'error: up one step, correct run reset');
+assert(sc2.reversals.length === 1, 'down then up: one reversal');
+approxEqual(sc2.reversals[0], 0.4, 1e-9, 'reversal recorded at the level it happened');
+sc2.update(0.5, true);
+sc2.update(0.5, true);
+assert(sc2.reversals.length === 2, 'up then down: second reversal');
+approxEqual(sc2.getFinalEstimate(), 0.45, 1e-9, 'estimate averages the reversal levels');
+
+// ============================================================
+
+section('createTransformedStaircase — 1-up/3-down and bounds');
+
+const sc3 = createTransformedStaircase('1up-3down', 0.1, { step: 0.05, min: 0.05 });
+for (let i = 0; i < 9; i++) sc3.update(sc3.getNextIntensity(), true);
+approxEqual(sc3.getNextIntensity(), 0.05, 1e-9, 'three correct per step, clamped at min');
+for (let i = 0; i < 30; i++) sc3.update(sc3.getNextIntensity(), false);
+approxEqual(sc3.getNextIntensity(), 1, 1e-9, 'errors climb to max (1)');
+const scCapped = createAdaptiveStaircase({ method: '1up-2down', priorMean: 0.8, step: 0.1, maxIntensity: 0.9 });
+for (let i = 0; i < 5; i++) scCapped.update(scCapped.getNextIntensity(), false);
+scCapped.update(scCapped.getNextIntensity(), true);
+scCapped.update(scCapped.getNextIntensity(), true);
+approxEqual(scCapped.getNextIntensity(), 0.8, 1e-9, 'maxIntensity caps the level: one step down from 0.9');
+approxEqual(scCapped.reversals[0], 0.9, 1e-9, 'reversal recorded at the shown cap');
+
+// ============================================================
+
+section('createTransformedStaircase — weighted up-down');
+
+const scW = createTransformedStaircase('weighted', 0.5, { step: 0.02, target: 0.75 });
+scW.update(0.5, true);
+approxEqual(scW.getNextIntensity(), 0.48, 1e-9, 'correct: down by step');
+scW.update(0.48, false);
+approxEqual(scW.getNextIntensity(), 0.54, 1e-9, 'error: up by step * 0.75 / 0.25');
+
+// ============================================================
+
+section('createTransformedStaircase — PEST');
+
+const scP = createTransformedStaircase('pest', 0.5, { step: 0.08, target: 0.75, waldFactor: 1 });
+for (let i = 0; i < 3; i++) scP.update(0.5, true);
+approxEqual(scP.getNextIntensity(), 0.5, 1e-9, 'stays at the level inside the Wald bounds');
+scP.update(0.5, true);
+approxEqual(scP.getNextIntensity(), 0.42, 1e-9, '4 of 4 correct: down by the initial step');
+scP.update(0.42, false);
+scP.update(0.42, false);
+approxEqual(scP.getNextIntensity(), 0.46, 1e-9, 'reversal: step halved');
+assert(scP.reversals.length === 1, 'PEST reversal recorded');
+for (let i = 0; i < 3; i++) {
+    scP.update(scP.getNextIntensity(), false);
+    scP.update(scP.getNextIntensity(), false);
+}
+// steps up: 0.04 (reversal), 0.04, then doubled from the third on: 0.08, 0.16
+approxEqual(scP.getNextIntensity(), 0.42 + 0.04 * 2 + 0.08 + 0.16, 1e-9, 'third step in one direction doubles');
+
+// ============================================================
+
+section('createTransformedStaircase — convergence on simulated observers');
+
+function runStaircase(method, threshold, numTrials) {
+    const staircase = createTransformedStaircase(method, 0.6, { step: 0.03 });
+    for (let t = 0; t < numTrials; t++) {
+        const coh = staircase.getNextIntensity();
+        staircase.update(coh, simulateWeibull(coh, threshold, 3.5));
+    }
+    return staircase.getFinalEstimate();
+}
+let sc2Low = 0;
+let sc2High = 0;
+let sc3Low = 0;
+for (let r = 0; r < 10; r++) {
+    sc2Low += runStaircase('1up-2down', 0.2, 80) / 10;
+    sc2High += runStaircase('1up-2down', 0.5, 80) / 10;
+    sc3Low += runStaircase('1up-3down', 0.2, 80) / 10;
+}
+assert(sc2Low < sc2High, `1-up/2-down tracks the threshold (${sc2Low.toFixed(3)} < ${sc2High.toFixed(3)})`);
+assert(sc3Low > sc2Low, `1-up/3-down (79.4%) converges above 1-up/2-down (70.7%): ${sc3Low.toFixed(3)} > ${sc2Low.toFixed(3)}`);
+approxEqual(sc2Low, 0.17, 0.08, '1-up/2-down converges near the 70.7% point');
+
+// ============================================================
+
+section('createTransformedStaircase — stopping rules and errors');
+
+const scStop = createTransformedStaircase('1up-2down', 0.5, { maxReversals: 2 });
+scStop.update(0.5, false);
+scStop.update(0.55, true);
+scStop.update(0.55, true);
+assert(!scStop.isDone(), 'one reversal: not done');
+scStop.update(0.5, false);
+assert(scStop.isDone(), 'done at maxReversals');
+assert(createTransformedStaircase('weighted', 0.5, { maxTrials: 0 }).isDone(), 'maxTrials cap');
+let scErr = null;
+try { createTransformedStaircase('2up-1down', 0.5); } catch (e) { scErr = e; }
+assert(scErr !== null, 'unknown method throws');
+
+// ============================================================
+// Interleaved staircases
+// ============================================================
+
+section('createAdaptiveStaircase — method dispatch');
+
+const adaptiveQuest = createAdaptiveStaircase({ priorMean: 0.4 });
+assert(typeof adaptiveQuest.getPosterior === 'function' && adaptiveQuest.reversals === undefined, 'default method: QUEST');
+approxEqual(adaptiveQuest.getNextIntensity(), 0.4, 0.05, 'QUEST uses priorMean');
+assert(typeof createAdaptiveStaircase({ method: 'quest-plus' }).getPosterior().slope === 'number', "'quest-plus': QUEST+");
+const adaptiveStair = createAdaptiveStaircase({ method: '1up-2down', priorMean: 0.3, step: 0.1 });
+assert(Array.isArray(adaptiveStair.reversals) && adaptiveStair.getNextIntensity() === 0.3, 'classic staircase starts at priorMean');
+
+// ============================================================
+
+section('staircaseKey — identity per interleaving mode');
+
+const dcMeta = { t1_task: 'or', t1Side: 'right' };
+const sidedMeta = { t1_task: 'mov', side: 'left', t1Side: 'left' };
+const singleMeta = { t1_task: 'mov' };
+assert(staircaseKey(dcMeta, undefined) === 'block', 'no interleaving: one block staircase');
+assert(staircaseKey(dcMeta, 'task') === 'or', "'task': keyed by T1 task");
+assert(staircaseKey(dcMeta, 'task-side') === 'or-right', "'task-side': dual-canvas keyed by T1 side");
+assert(staircaseKey(sidedMeta, 'task-side') === 'mov-left', "'task-side': sided trials keyed by their side");
+assert(staircaseKey(singleMeta, 'task-side') === 'mov', "'task-side' without a side: keyed by task");
+
+const dcT2Meta = { t1_task: 'or', t2_task: 'mov', t1Side: 'right' };
+const baselineMeta = { t1_task: null, t2_task: 'or', side: 'left' };
+assert(staircaseKey(dcT2Meta, 'task', 't2') === 'mov', "'task' on slot t2: keyed by T2 task");
+assert(staircaseKey(dcT2Meta, 'task-side', 't2') === 'mov-left', "'task-side' on slot t2: dual-canvas keyed by T2 side");
+assert(staircaseKey(baselineMeta, 'task-side', 't2') === 'or-left', "'task-side' on slot t2: prp-baseline keyed by its side");
+
+// ============================================================
+
+section('resolveQuestSlot — adapted slot, channel and accuracy per paradigm');
+
+const slotFor = (paradigm, slot) => resolveQuestSlot({ blockId: 'b', paradigm }, slot);
+const singleSlot = slotFor('single-task');
+assert(singleSlot.slot === 't1' && singleSlot.channel === '_1' && singleSlot.accuracy === 'accuracy1',
+    'single-task defaults to T1 on channel 1, scored by accuracy1');
+const dualT2 = slotFor('dual-task', 't2');
+assert(dualT2.channel === '_2' && dualT2.accuracy === 'accuracy2', 'dual-task T2: channel 2, accuracy2');
+const canvasT2 = slotFor('dual-canvas', 't2');
+assert(canvasT2.channel === '_1' && canvasT2.accuracy === 'accuracy2', 'dual-canvas T2: its own channel 1, accuracy2');
+const baselineSlot = slotFor('prp-baseline');
+assert(baselineSlot.slot === 't2' && baselineSlot.channel === '_1' && baselineSlot.accuracy === 'accuracy2',
+    'prp-baseline defaults to T2 on channel 1, scored by accuracy2');
+const slotError = (paradigm, slot) => {
+    try { slotFor(paradigm, slot); } catch (e) { return e.message; }
+    return '';
+};
+assert(slotError('prp-baseline', 't1').includes('no T1 response'), 'prp-baseline rejects slot t1');
+assert(slotError('single-task', 't2').includes('needs a T2 task'), 'single-task rejects slot t2');
+assert(slotError('dual-task', 't3').includes('unknown runQuest slot'), 'unknown slot rejected');
+
+// ============================================================
+
+section('interleaved staircases — each updated only on its own trials');
+
+// Mixed block: mov threshold 0.2, or threshold 0.6, tasks alternating at random
+const interleaved = new Map();
+for (let t = 0; t < 120; t++) {
+    const meta = { t1_task: Math.random() < 0.5 ? 'mov' : 'or' };
+    const key = staircaseKey(meta, 'task');
+    if (!interleaved.has(key)) interleaved.set(key, createAdaptiveStaircase({ method: 'quest-plus', priorMean: 0.4 }));
+    const staircase = interleaved.get(key);
+    const coh = staircase.getNextIntensity();
+    staircase.update(coh, simulateWeibull(coh, key === 'mov' ? 0.2 : 0.6, 3.5));
+}
+const movSummary = summarizeStaircase(interleaved.get('mov'));
+const orSummary = summarizeStaircase(interleaved.get('or'));
+assert(movSummary.questEstimate < orSummary.questEstimate,
+    `mov staircase (${movSummary.questEstimate.toFixed(3)}) below or staircase (${orSummary.questEstimate.toFixed(3)})`);
+
+// ============================================================
+
+section('summarizeStaircase — export columns');
+
+const questSummary = summarizeStaircase(createQuest(0.5, 0.2));
+assert(questSummary.questEstimate === questSummary.questPosteriorMode && questSummary.questSlope === null,
+    'QUEST: estimate is the posterior mode, no slope');
+const stairSummary = summarizeStaircase(createTransformedStaircase('weighted', 0.5));
+assert(stairSummary.questEstimate === 0.5 && stairSummary.questPosteriorSd === null,
+    'classic staircase: estimate from reversals, no posterior');
+
 // ============================================================
 // Summary
 // ============================================================
@@ -967,6 +967,342 @@ const altFbConfig2 = buildAlternatingSEConfig('mov', 'left', true, false, true,
 assert(altFbConfig2.feedback === false, 'alt: feedback false');
 assert(altFbConfig2.acceptFirstResponse === true, 'alt: acceptFirstResponse true');
 
+// ============================================================
+// Three-task blocks
+// ============================================================
+
+section('buildSEConfig — three-task keyMaps');
+
+const threeTaskKeyMaps = { mov: { 180: 'a', 0: 'd' }, or: { 90: 'w', 270: 's' }, col: { 0: 'j', 180: 'l' } };
+const threeTaskSEConfig = buildSEConfig('disjoint', false, true, false, threeTaskKeyMaps);
+assert(threeTaskSEConfig.movementKeyMap[180] === 'a', 'three-task: mov keys on movementKeyMap');
+assert(threeTaskSEConfig.orientationKeyMap[90] === 'w', 'three-task: or keys on orientationKeyMap');
+assert(threeTaskSEConfig.colKeyMap[0] === 'j', 'three-task: col keys on colKeyMap');
+
+section('buildKeyTaskMap — three tasks use the T2 task from meta');
+
+const colKeyMap = buildKeyTaskMap(threeTaskSEConfig, { meta: { t1_task: 'or', t2_task: 'col' } });
+assert(colKeyMap.task1Keys.includes('w') && colKeyMap.task1Keys.includes('s'), 'or-col: T1 keys are or keys');
+assert(colKeyMap.task2Keys.includes('j') && colKeyMap.task2Keys.includes('l'), 'or-col: T2 keys are col keys');
+
+section('buildAlternatingSEConfig / buildDualCanvasSEConfigs — three tasks');
+
+const altCol = buildAlternatingSEConfig('col', 'right', true, true, false, TEST_SIZE, ['mov', 'or', 'col']);
+assert(altCol.colKeyMap[180] === 'j' && altCol.colKeyMap[0] === 'l', 'alt col: right-hand keys on colKeyMap');
+assert(altCol.movementKeyMap[0] === '!' && altCol.orientationKeyMap[0] === '!', 'alt col: other pathways dummy');
+
+const { leftConfig: lcCol, rightConfig: rcCol } = buildDualCanvasSEConfigs('col', 'mov', false, true, false, TEST_SIZE, ['mov', 'or', 'col']);
+assert(lcCol.colKeyMap[180] === 'a' && lcCol.movementKeyMap[180] === '!', 'dual col+mov: left col keys, mov dummy');
+assert(rcCol.movementKeyMap[180] === 'j' && rcCol.colKeyMap[180] === '!', 'dual col+mov: right mov keys, col dummy');
+
+section('buildDualCanvasSEConfigs — per-canvas key maps');
+
+const { leftConfig: lcCanvas, rightConfig: rcCanvas } = buildDualCanvasSEConfigs('or', 'or', false, true, false, TEST_SIZE, undefined,
+    { left: { or: { 90: 'w', 270: 's' } }, right: { or: { 90: 'i', 270: 'k' } } });
+assert(lcCanvas.orientationKeyMap[90] === 'w' && lcCanvas.movementKeyMap[0] === '!', 'left canvas: its own or keys, mov dummy');
+assert(rcCanvas.orientationKeyMap[270] === 'k' && rcCanvas.movementKeyMap[180] === '!', 'right canvas: its own or keys, mov dummy');
+
+section('computeRSI — overlapping alternating trials');
+
+// Previous trial started at 1000 and was answered 700 ms into its block
+assert(computeRSI(1000, 700, 1500, 200) === 0, 'go signal exactly at the previous response');
+assert(computeRSI(1000, 700, 1200, 200) === -300, 'stimulus before the previous response: negative RSI');
+assert(computeRSI(1000, 700, 2000, 200) === 500, 'stimulus after the previous response: positive RSI');
+assert(computeRSI(1000, null, 2000, 200) === null, 'previous miss: null');
+
+section('extractVoluntaryResponse — task chosen by key set');
+
+const voluntaryConfig = buildSEConfig('disjoint', true, false, false, { mov: { 0: 'd', 180: 'a' }, or: { 90: 'i', 270: 'k' } });
+const voluntaryTrial = { seParams: { start_go_1: 200 }, meta: { voluntaryDirs: { mov: 180, or: 90 } } };
+const volOr = extractVoluntaryResponse({ keyPresses: [{ key: 'x', time: 450, isCorrect: false }, { key: 'i', time: 600, isCorrect: false }] },
+    voluntaryTrial, voluntaryConfig);
+assert(volOr.t1_task === 'or' && volOr.t1_target_dir === 90, 'first mapped key picks the task; unmapped keys ignored');
+assert(volOr.accuracy1 === 'correct' && volOr.rt1 === 400 && volOr.rt1_raw === 600, 'scored against the chosen task, SE flags ignored');
+const volMov = extractVoluntaryResponse({ keyPresses: [{ key: 'd', time: 500, isCorrect: true }, { key: 'a', time: 700, isCorrect: true }] },
+    voluntaryTrial, voluntaryConfig);
+assert(volMov.t1_task === 'mov' && volMov.accuracy1 === 'error', 'wrong key of the chosen task is an error');
+const volMiss = extractVoluntaryResponse({ keyPresses: [] }, voluntaryTrial, voluntaryConfig);
+assert(volMiss.t1_task === null && volMiss.accuracy1 === 'miss' && volMiss.rt1 === null, 'no response: miss, no task');
+
+assert(voluntaryTransition(null, 'mov', true) === 'First', 'voluntaryTransition: first trial');
+assert(voluntaryTransition('mov', 'mov', false) === 'Repeat', 'voluntaryTransition: repeat');
+assert(voluntaryTransition('mov', 'or', false) === 'Switch', 'voluntaryTransition: switch');
+assert(voluntaryTransition(null, 'or', false) === null && voluntaryTransition('or', null, false) === null,
+    'voluntaryTransition: null around a miss');
+
+section('rciAnchor / rciWaits — response-cue interval');
+
+// Trial launched at 1000, ended at 2600
+assert(rciAnchor(1000, 2600, { rt1_raw: 700, rt2_raw: null }, true) === 1700, 'earlyResolve: anchored at the response');
+assert(rciAnchor(1000, 2600, { rt1_raw: 700, rt2_raw: 900 }, true) === 1900, 'dual-task: anchored at the last response');
+assert(rciAnchor(1000, 2600, { rt1_raw: null, rt2_raw: null }, true) === 2600, 'no response: anchored at the trial end');
+assert(rciAnchor(1000, 2600, { rt1_raw: 700, rt2_raw: null }, false) === 2600, 'earlyResolve off: anchored at the trial end');
+
+const waits = rciWaits(1000, 300, 150);
+assert(waits.blank === 550 && waits.fixation === 300, 'elapsed time comes off the blank period');
+const shortWaits = rciWaits(1000, 300, 800);
+assert(shortWaits.blank === 0 && shortWaits.fixation === 200, 'fixation cut when less than its duration remains');
+const lateWaits = rciWaits(1000, 300, 1200);
+assert(lateWaits.blank === 0 && lateWaits.fixation === 0, 'RCI already overrun: no wait');
+
+section('buildDualPRPSEConfigs — four disjoint key pairs per trial');
+
+const { leftConfig: prpLeft, rightConfig: prpRight } = buildDualPRPSEConfigs(null, false, true, false, TEST_SIZE);
+const prpKeySets = [prpLeft.movementKeyMap, prpLeft.orientationKeyMap, prpRight.movementKeyMap, prpRight.orientationKeyMap]
+    .map(m => Object.values(m));
+const prpAllKeys = prpKeySets.flat();
+assert(new Set(prpAllKeys).size === 8, 'default dual-PRP: eight distinct keys');
+assert(prpLeft.movementKeyMap[180] === 'a' && prpLeft.orientationKeyMap[180] === 'q', 'left canvas: a/d for mov, q/e for or');
+assert(prpRight.movementKeyMap[0] === 'l' && prpRight.orientationKeyMap[0] === 'o', 'right canvas: j/l for mov, u/o for or');
+assert(prpLeft.size === TEST_SIZE && prpLeft.feedback === true, 'size and feedback passed through');
+
+section('extractDualPRPResponse — keypresses attributed to all four tasks');
+
+const dualPRPTrial = {
+    leftSeParams: { start_go_1: 200, start_go_2: 500 },
+    rightSeParams: { start_go_1: 200, start_go_2: 300 },
+    meta: { left_t1_task: 'mov', left_t2_task: 'or', right_t1_task: 'or', right_t2_task: 'mov' },
+};
+const dualPRPRes = extractDualPRPResponse(
+    { keyPresses: [
+        { key: 'e', time: 700, isCorrect: true },   // left or (T2)
+        { key: 'd', time: 900, isCorrect: true },   // left mov (T1), answered second
+    ]},
+    { keyPresses: [
+        { key: 'u', time: 600, isCorrect: true },   // right or (T1)
+        { key: 'j', time: 650, isCorrect: false },  // right mov (T2) error
+        { key: 'l', time: 800, isCorrect: true },   // right mov (T2) corrected
+    ]},
+    dualPRPTrial, prpLeft, prpRight
+);
+assert(dualPRPRes.left_rt1 === 700 && dualPRPRes.left_accuracy1 === 'correct', 'left T1: rt 900 - 200, correct');
+assert(dualPRPRes.left_rt2 === 200 && dualPRPRes.left_accuracy2 === 'correct', 'left T2: rt 700 - 500, correct');
+assert(dualPRPRes.left_responseOrder === 'T2-first', 'left canvas: response reversal');
+assert(dualPRPRes.right_rt1 === 400 && dualPRPRes.right_accuracy1 === 'correct', 'right T1: rt 600 - 200, correct');
+assert(dualPRPRes.right_rt2 === 500 && dualPRPRes.right_accuracy2 === 'corrected', 'right T2: rt 800 - 300, corrected');
+assert(dualPRPRes.rt1 === null && dualPRPRes.accuracy2 === null, 'single-canvas columns left empty');
+assert(JSON.parse(dualPRPRes.rawKeyPresses).right.length === 3, 'raw keypresses kept per canvas');
+
+section('extractResponse — catch trials score the absent task as a false alarm');
+
+const t1OnlyTrial = { ...dtTrial, meta: { ...dtTrial.meta, catchType: 't1-only' } };
+const catchRes1 = extractResponse(
+    { keyPresses: [
+        { key: 'a', time: 500, isCorrect: true },
+        { key: 'j', time: 800, isCorrect: false },  // T2 key, but T2 was omitted
+    ]},
+    t1OnlyTrial, disjointSEConfig
+);
+assert(catchRes1.accuracy1 === 'correct', 't1-only disjoint: T1 scored normally');
+assert(catchRes1.accuracy2 === 'false-alarm', 't1-only disjoint: T2 press is a false alarm, not an error');
+assert(catchRes1.rt2 === null && catchRes1.rt2_raw === 800, 't1-only disjoint: no rt2, rt2_raw of the false alarm');
+assert(catchRes1.responseOrder === null, 't1-only: no response order');
+
+const catchRes2 = extractResponse(
+    { keyPresses: [{ key: 'a', time: 500, isCorrect: true }] },
+    t1OnlyTrial, disjointSEConfig
+);
+assert(catchRes2.accuracy2 === 'correct-rejection', 't1-only disjoint: no T2 press is a correct rejection');
+
+const t2OnlyTrial = { ...dtTrial, meta: { ...dtTrial.meta, catchType: 't2-only' } };
+const catchRes3 = extractResponse(
+    { keyPresses: [{ key: 'j', time: 700, isCorrect: true }] },
+    t2OnlyTrial, disjointSEConfig
+);
+assert(catchRes3.accuracy1 === 'correct-rejection', 't2-only disjoint: T1 correct rejection');
+assert(catchRes3.accuracy2 === 'correct' && catchRes3.rt2 === 300, 't2-only disjoint: T2 scored from its go signal');
+
+const catchRes4 = extractResponse(
+    { keyPresses: [
+        { key: 'a', time: 300, isCorrect: false },  // before T2's go signal
+        { key: 'a', time: 700, isCorrect: true },
+    ]},
+    t2OnlyTrial, identicalSEConfig
+);
+assert(catchRes4.accuracy1 === 'false-alarm' && catchRes4.rt1_raw === 300, 't2-only identical: early press is a T1 false alarm');
+assert(catchRes4.accuracy2 === 'correct' && catchRes4.rt2_raw === 700, 't2-only identical: later press answers T2');
+
+const catchRes5 = extractResponse(
+    { keyPresses: [
+        { key: 'a', time: 500, isCorrect: true },
+        { key: 'a', time: 900, isCorrect: false },
+    ]},
+    t1OnlyTrial, identicalSEConfig
+);
+assert(catchRes5.accuracy1 === 'correct', 't1-only identical: T1 correct');
+assert(catchRes5.accuracy2 === 'false-alarm', 't1-only identical: press after T1 is a T2 false alarm');
+
+section('extractDualCanvasResponse — catch trials');
+
+const dcCatch1 = extractDualCanvasResponse(
+    { keyPresses: [{ key: 'a', time: 500, isCorrect: true }] },
+    { keyPresses: [{ key: 'j', time: 900, isCorrect: false }] },
+    t1GoOnset, t2GoOnset, NO_ACCEPT_FIRST, NO_ACCEPT_FIRST, 't1-only'
+);
+assert(dcCatch1.accuracy1 === 'correct', 'dual-canvas t1-only: T1 scored normally');
+assert(dcCatch1.accuracy2 === 'false-alarm' && dcCatch1.rt2 === null, 'dual-canvas t1-only: press on blank T2 canvas is a false alarm');
+assert(dcCatch1.responseOrder === null, 'dual-canvas catch: no response order');
+
+const dcCatch2 = extractDualCanvasResponse(
+    { keyPresses: [] },
+    { keyPresses: [{ key: 'j', time: 900, isCorrect: true }] },
+    t1GoOnset, t2GoOnset, NO_ACCEPT_FIRST, NO_ACCEPT_FIRST, 't2-only'
+);
+assert(dcCatch2.accuracy1 === 'correct-rejection', 'dual-canvas t2-only: T1 correct rejection');
+assert(dcCatch2.accuracy2 === 'correct' && dcCatch2.rt2 === 300, 'dual-canvas t2-only: T2 scored normally');
+
+section('extractResponse — stop trials');
+
+const stopTrial = { seParams: { start_go_1: 200, start_2: 450 }, meta: { paradigm: 'single-task', stopTrial: true, ssd: 250 } };
+const stopRes1 = extractResponse({ keyPresses: [] }, stopTrial, identicalSEConfig);
+assert(stopRes1.accuracy1 === 'successful-stop' && stopRes1.rt1 === null, 'no press: successful stop');
+const stopRes2 = extractResponse({ keyPresses: [{ key: 'a', time: 520, isCorrect: true }] }, stopTrial, identicalSEConfig);
+assert(stopRes2.accuracy1 === 'failed-stop', 'press on a stop trial: failed stop, not correct');
+assert(stopRes2.rt1 === 320, 'failed stop: signal-respond RT from the go signal');
+const stopRes3 = extractResponse({ keyPresses: [{ key: 'd', time: 480, isCorrect: false }] }, stopTrial, identicalSEConfig);
+assert(stopRes3.accuracy1 === 'failed-stop' && stopRes3.rt1 === 280, 'wrong key on a stop trial is still a failed stop');
+
+section('createSsdStaircase — one-up/one-down tracking');
+
+const ssdStair = createSsdStaircase({ ssd: 250, step: 50, minSsd: 0, maxSsd: 300 });
+assert(ssdStair.getSsd() === 250, 'starts at the initial SSD');
+ssdStair.update(true);
+assert(ssdStair.getSsd() === 300, 'successful stop: SSD + step');
+ssdStair.update(true);
+assert(ssdStair.getSsd() === 300, 'clamped at maxSsd');
+ssdStair.update(false);
+ssdStair.update(false);
+assert(ssdStair.getSsd() === 200, 'failed stops: SSD - step each');
+const fixedStair = createSsdStaircase({ ssd: 0, step: 0, minSsd: 0, maxSsd: 1000 });
+fixedStair.update(true);
+assert(fixedStair.getSsd() === 0, 'step 0 keeps the SSD fixed (go/no-go)');
+
+section('createSoaStaircase — adaptive SOA');
+
+const soaStair = createSoaStaircase({ value: 400, step: 50, min: 100, max: 600, target: 0.75 });
+assert(soaStair.getSoa() === 400, 'starts at value');
+soaStair.update({ accuracy2: 'correct' });
+assert(soaStair.getSoa() === 350, 'accuracy2 correct: SOA - step');
+soaStair.update({ accuracy2: 'incorrect' });
+assert(soaStair.getSoa() === 500, 'accuracy2 error: SOA + step * 0.75 / 0.25');
+soaStair.update({ accuracy2: 'miss' });
+assert(soaStair.getSoa() === 600, 'clamped at max');
+soaStair.update({ accuracy2: 'correct' });
+assert(soaStair.history.map(h => h.soa).join() === '400,350,500,600', 'history records the SOA of each update');
+assert(soaStair.getEstimate() === (350 + 600) / 2, `estimate averages the reversal SOAs (got ${soaStair.getEstimate()})`);
+assert(createSoaStaircase({ value: 300 }).getEstimate() === 300, 'no reversals: estimate is the current SOA');
+
+const groupStair = createSoaStaircase({ value: 300, step: 20, measure: 'grouping', groupingWindow: 100 });
+groupStair.update({ rt1_raw: 500, rt2_raw: 560 });
+assert(groupStair.getSoa() === 320, 'grouped responses: SOA + step');
+groupStair.update({ rt1_raw: 500, rt2_raw: 800 });
+assert(groupStair.getSoa() === 300, 'ungrouped responses: SOA - step (target 0.5)');
+groupStair.update({ rt1_raw: 500, rt2_raw: null });
+assert(groupStair.getSoa() === 280, 'missing T2 response is not grouped');
+
+section('computeSSRT — integration method');
+
+const ssrtRows = [];
+for (let rt = 310; rt <= 400; rt += 10) ssrtRows.push({ stopTrial: false, rt1: rt, accuracy1: 'correct' });
+ssrtRows.push({ stopTrial: true, ssd: 150, rt1: 300, accuracy1: 'failed-stop' });
+ssrtRows.push({ stopTrial: true, ssd: 250, rt1: null, accuracy1: 'successful-stop' });
+// p(respond) = 0.5 -> 5th of 10 go RTs = 350; mean SSD = 200
+assert(computeSSRT(ssrtRows) === 150, `SSRT = 350 - 200 (got ${computeSSRT(ssrtRows)})`);
+ssrtRows.push({ stopTrial: false, rt1: null, accuracy1: 'miss' }, { stopTrial: false, rt1: null, accuracy1: 'miss' });
+// 12 go trials with two omissions as 400; 6th = 360
+assert(computeSSRT(ssrtRows) === 160, 'go omissions count as the slowest go RT');
+assert(computeSSRT([{ stopTrial: null, rt1: 300 }]) === null, 'no stop trials: null');
+
+section('buildAlternatingSEConfig — block key maps');
+
+const altVertical = buildAlternatingSEConfig('or', 'left', true, true, false, TEST_SIZE, ['mov', 'or'],
+    { mov: { 0: 'd', 180: 'a' }, or: { 90: 'w', 270: 's' } });
+assert(altVertical.orientationKeyMap[90] === 'w' && altVertical.orientationKeyMap[270] === 's', 'active task uses its key map');
+assert(altVertical.movementKeyMap[0] !== 'd', 'inactive task keeps dummy keys');
+const altDefault = buildAlternatingSEConfig('mov', 'right', true, true, false, TEST_SIZE, ['mov', 'or'], null);
+assert(altDefault.movementKeyMap[0] === 'l' && altDefault.movementKeyMap[180] === 'j', 'no key maps: hand defaults');
+
+section('reverseKeyMap / applyResponseMapping — S-R compatibility');
+
+const reversedWasd = reverseKeyMap({ 0: 'd', 90: 'w', 180: 'a', 270: 's' });
+assert(reversedWasd[0] === 'a' && reversedWasd[90] === 's' && reversedWasd[180] === 'd' && reversedWasd[270] === 'w',
+    'reversed WASD matches the unnatural preset');
+
+const legacyBlock = { blockId: 'legacy', paradigm: 'single-task', rso: 'disjoint' };
+assert(applyResponseMapping(legacyBlock) === legacyBlock, 'blocks without the options are unchanged');
+
+const fourNatural = applyResponseMapping({ blockId: 'four', paradigm: 'dual-task', rso: 'disjoint', responseAlternatives: 4 });
+assert(fourNatural.srMapping === 'natural', 'srMapping defaults to natural');
+assert(fourNatural.keyMaps.mov[90] === 'w' && fourNatural.keyMaps.or[90] === 'i', 'disjoint: WASD for T1 task, IJKL for the other');
+const fourUnnatural = applyResponseMapping({ blockId: 'four_u', paradigm: 'single-task', rso: 'identical', responseAlternatives: 4, srMapping: 'unnatural' });
+assert(fourUnnatural.keyMaps.mov[90] === 's' && fourUnnatural.keyMaps.or[0] === 'a', 'identical unnatural: reversed WASD for every task');
+
+const twoUnnatural = applyResponseMapping({ blockId: 'two_u', paradigm: 'alternating', srMapping: 'unnatural' });
+assert(twoUnnatural.canvasKeyMaps.left.mov[0] === 'a' && twoUnnatural.canvasKeyMaps.right.or[180] === 'l',
+    'two-direction unnatural: hand keys swapped per canvas');
+
+const fourDualPRP = applyResponseMapping({ blockId: 'four_dprp', paradigm: 'dual-prp', responseAlternatives: 4 });
+assert(fourDualPRP.canvasKeyMaps.left.or[90] === 't' && fourDualPRP.canvasKeyMaps.right.or[90] === '8',
+    'dual-prp: second cluster per hand for the second task');
+const fourDCConfigs = buildDualCanvasSEConfigs('mov', 'or', true, true, false, TEST_SIZE, ['mov', 'or'],
+    applyResponseMapping({ blockId: 'four_dc', paradigm: 'dual-canvas', responseAlternatives: 4 }).canvasKeyMaps);
+assert(fourDCConfigs.leftConfig.movementKeyMap[270] === 's' && fourDCConfigs.rightConfig.orientationKeyMap[270] === 'k',
+    'dual-canvas SE configs carry the four-key maps');
+
+const explicitKeys = { mov: { 0: 'x', 180: 'z' }, or: { 0: 'm', 180: 'n' } };
+const explicitUnnatural = applyResponseMapping({ blockId: 'explicit', paradigm: 'single-task', keyMaps: explicitKeys, srMapping: 'unnatural' });
+assert(explicitUnnatural.keyMaps.mov[0] === 'z' && explicitKeys.mov[0] === 'x', 'explicit keyMaps are reversed without mutating the config');
+const explicitTwoCanvas = applyResponseMapping({ blockId: 'explicit_dc', paradigm: 'dual-canvas', keyMaps: explicitKeys, responseAlternatives: 2 });
+assert(explicitTwoCanvas.canvasKeyMaps.left.mov[0] === 'x' && explicitTwoCanvas.canvasKeyMaps.right.mov[0] === 'x',
+    'two-canvas natural: explicit keyMaps kept on both canvases');
+const explicitCanvasUnnatural = applyResponseMapping({
+    blockId: 'explicit_alt', paradigm: 'alternating', srMapping: 'unnatural',
+    canvasKeyMaps: { left: explicitKeys },
+});
+assert(explicitCanvasUnnatural.canvasKeyMaps.left.mov[0] === 'z' && explicitCanvasUnnatural.canvasKeyMaps.right.mov[0] === 'j',
+    'two-canvas unnatural: explicit canvas map reversed, the other canvas falls back to its hand preset');
+
+let threwOnThreeAlternatives = false;
+try {
+    applyResponseMapping({ blockId: 'bad', paradigm: 'single-task', responseAlternatives: 3 });
+} catch (e) {
+    threwOnThreeAlternatives = true;
+}
+assert(threwOnThreeAlternatives, 'responseAlternatives other than 2 or 4 throws');
+
+section('describeBlockKeys — help text from the resolved key maps');
+
+const MOV_OR = ['mov', 'or'];
+assert(describeKeyMap({ 0: 'd', 90: 'w', 180: 'a', 270: 's' }) === 'A = left, D = right, W = up, S = down', 'four directions listed left, right, up, down');
+assert(describeBlockKeys({ paradigm: 'single-task', rso: 'identical' }, MOV_OR)[0] === 'Keys: A = left, D = right',
+    'single canvas without keyMaps: identical-RSO preset');
+assert(describeBlockKeys({ paradigm: 'dual-task', rso: 'disjoint' }, MOV_OR)[0] === 'Keys: mov: A = left, D = right; or: J = left, L = right',
+    'single canvas without keyMaps: disjoint preset named per task');
+
+const baselineLines = describeBlockKeys(applyResponseMapping({ blockId: 'pb', paradigm: 'prp-baseline', responseAlternatives: 4 }), MOV_OR);
+assert(baselineLines[1] === 'Right task controls: J = left, L = right, I = up, K = down', 'four alternatives: IJKL on the right canvas');
+const unnaturalLines = describeBlockKeys(applyResponseMapping({ blockId: 'alt_u', paradigm: 'alternating', srMapping: 'unnatural' }), MOV_OR);
+assert(unnaturalLines[0] === 'Left task controls: D = left, A = right', 'unnatural: reversed keys named');
+assert(unnaturalLines[1] === 'Right task controls: L = left, J = right', 'unnatural: right canvas reversed too');
+
+const dualPRPLines = describeBlockKeys({ blockId: 'dp', paradigm: 'dual-prp' }, MOV_OR);
+assert(dualPRPLines[0] === 'Left task controls: mov: A = left, D = right; or: Q = left, E = right', 'dual-PRP: left canvas A/D and Q/E');
+assert(dualPRPLines[1] === 'Right task controls: mov: J = left, L = right; or: U = left, O = right', 'dual-PRP: right canvas J/L and U/O');
+
+const tfgh = { 0: 'h', 90: 't', 180: 'f', 270: 'g' };
+const sidedKeys = canvasTaskKeyMaps({ paradigm: 'alternating', keyMaps: { mov: tfgh, or: tfgh } }, 'right', MOV_OR);
+assert(sidedKeys.mov === tfgh, 'sided paradigms fall back to keyMaps, as sidedKeyMaps does');
+const dualCanvasKeys = canvasTaskKeyMaps({ paradigm: 'dual-canvas', keyMaps: { mov: tfgh, or: tfgh } }, 'right', MOV_OR);
+assert(describeKeyMap(dualCanvasKeys.mov) === 'J = left, L = right', 'dual-canvas reads canvasKeyMaps only, as buildDualCanvasSEConfigs does');
+
+section('previousOutcome — post-error columns');
+
+const noPrev = previousOutcome(null);
+assert(noPrev.prevAccuracy1 === null && noPrev.prevAccuracy2 === null, 'first trial: no previous outcome');
+const afterError = previousOutcome({ accuracy1: 'error', accuracy2: 'correct' });
+assert(afterError.prevAccuracy1 === 'error' && afterError.prevAccuracy2 === 'correct', 'copies the previous accuracies');
+assert(previousOutcome({ accuracy1: 'correct', accuracy2: null }).prevAccuracy2 === null, 'single-task previous trial: no accuracy2');
+
 // ============================================================
 // Summary
 // ============================================================